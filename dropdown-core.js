@@ -0,0 +1,782 @@
+(function (factory) {
+    
+    // AMD, CommonJS (e.g. unit tests in Node) or a plain global.
+    if (typeof define === "function" && define.amd) {
+        define(factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        window.DropdownCore = factory();
+    }
+
+}(function () {
+    
+    // Anchor point strategies (see "registerAnchorStrategy"). Each one positions one axis of the dropdown box relative to the anchor
+    // box (both relative to the document, e.g. { x: x, y: y, w: width, h: height }).
+    var strategies = {
+        "above": function (anchor, size) {
+            return { y: anchor.y - size.h };
+        },
+        "below": function (anchor, size) {
+            return { y: anchor.y + anchor.h };
+        },
+        "bottom": function (anchor, size) {
+            return { y: anchor.y + anchor.h - size.h };
+        },
+        "center": function (anchor, size) {
+            return { x: anchor.x + (anchor.w - size.w) / 2 };
+        },
+        "left": function (anchor, size) {
+            return { x: anchor.x };
+        },
+        "outside-left": function (anchor, size) {
+            return { x: anchor.x - size.w };
+        },
+        "outside-right": function (anchor, size) {
+            return { x: anchor.x + anchor.w };
+        },
+        "right": function (anchor, size) {
+            return { x: anchor.x + anchor.w - size.w };
+        },
+        "top": function (anchor, size) {
+            return { y: anchor.y };
+        }
+    };
+    
+    // The axis each strategy positions, and (for flipping) its opposite.
+    var axes = { above: "y", below: "y", top: "y", bottom: "y", left: "x", right: "x", "outside-left": "x", "outside-right": "x", center: "x" };
+    var opposites = { above: "below", below: "above", left: "right", right: "left", top: "bottom", bottom: "top", "outside-left": "outside-right", "outside-right": "outside-left" };
+    
+    // Number of pixels by which a box (e.g. { x: x, y: y, w: width, h: height }) exceeds the viewport on the given axis.
+    var getOverflow = function (box, viewport, axis) {
+        var length = (axis === "x") ? "w" : "h";
+        return Math.max(0, viewport[axis] - box[axis]) + Math.max(0, (box[axis] + box[length]) - (viewport[axis] + viewport[length]));
+    };
+    
+    // Built-in positioning middleware (see "getPosition").
+    var middleware = {
+        
+        // Flip any dimension that overflows the viewport to the opposite side of the anchor, if that overflows less.
+        "flip": function (state, place) {
+            if (!state.viewport) {
+                return;
+            }
+            var names = state.anchorPoint.split(" ");
+            var box = { x: state.x, y: state.y, w: state.size.w, h: state.size.h };
+            for (var i = 0; i < names.length; i++) {
+                var opposite = opposites[names[i]];
+                if (opposite) {
+                    var axis = axes[names[i]];
+                    var overflow = getOverflow(box, state.viewport, axis);
+                    if (overflow > 0) {
+                        var flipped = names.slice(0);
+                        flipped[i] = opposite;
+                        var position = place(flipped.join(" "));
+                        var flippedBox = { x: position.x, y: position.y, w: box.w, h: box.h };
+                        if (getOverflow(flippedBox, state.viewport, axis) < overflow) {
+                            names = flipped;
+                            box = flippedBox;
+                        }
+                    }
+                }
+            }
+            return { x: box.x, y: box.y, anchorPoint: names.join(" ") };
+        },
+        
+        // Add the offset to each positioned axis. Like a CSS "right" value, a positive offset moves a "right" aligned dropdown left.
+        "offset": function (state) {
+            var names = state.anchorPoint.split(" ");
+            var delta = { x: 0, y: 0 };
+            for (var i = 0; i < names.length; i++) {
+                var axis = axes[names[i]];
+                if (axis) {
+                    delta[axis] = (names[i] === "right") ? -state.offset.x : state.offset[axis];
+                }
+            }
+            return { x: state.x + delta.x, y: state.y + delta.y };
+        },
+        
+        // Shift the box along each axis until it's within the viewport (if it's larger than the viewport, align it with the top/left edge).
+        "shift": function (state) {
+            var viewport = state.viewport;
+            if (viewport) {
+                return {
+                    x: Math.max(viewport.x, Math.min(state.x, viewport.x + viewport.w - state.size.w)),
+                    y: Math.max(viewport.y, Math.min(state.y, viewport.y + viewport.h - state.size.h))
+                };
+            }
+        },
+        
+        // Measure the space available between the box and the viewport edges it grows towards, as "maxWidth" and "maxHeight". A
+        // dropdown above or left of the anchor that doesn't fit is moved so that its far edge stays in view once it's constrained.
+        "size": function (state) {
+            var viewport = state.viewport;
+            if (!viewport) {
+                return;
+            }
+            var side = DropdownCore.getPlacement(state.anchorPoint).side;
+            var changes = {
+                maxWidth: Math.max(0, (side === "left") ? state.x + state.size.w - viewport.x : viewport.x + viewport.w - state.x),
+                maxHeight: Math.max(0, (side === "above") ? state.y + state.size.h - viewport.y : viewport.y + viewport.h - state.y)
+            };
+            if (side === "left" && state.size.w > changes.maxWidth) {
+                changes.x = viewport.x;
+            }
+            if (side === "above" && state.size.h > changes.maxHeight) {
+                changes.y = viewport.y;
+            }
+            return changes;
+        }
+        
+    };
+    
+    // Logical strategies, and the physical ones they stand for in left-to-right text. In right-to-left text, they're mirrored.
+    var logicalStrategies = { "start": "left", "end": "right", "outside-start": "outside-left", "outside-end": "outside-right" };
+    var mirroredStrategies = { "left": "right", "right": "left", "outside-left": "outside-right", "outside-right": "outside-left" };
+    
+    // Mirror a box (e.g. { x: x, y: y, w: width, h: height }) horizontally around x = 0.
+    var mirror = function (box) {
+        return { x: -(box.x + box.w), y: box.y, w: box.w, h: box.h };
+    };
+    
+    // Split event names, e.g. "show hide" or ["show", "hide"], into an array.
+    var getEventNames = function (eventNames) {
+        return (typeof eventNames === "string") ? eventNames.split(/\s+/) : (eventNames || []);
+    };
+    
+    // Report an error thrown by a listener without interrupting the other listeners (or the show/hide that emitted the event).
+    var reportError = function (error) {
+        setTimeout(function () {
+            throw error;
+        }, 0);
+    };
+    
+    // Bind a function to a context (without relying on Function.prototype.bind, for older browsers).
+    var bind = function (fn, context) {
+        return function () {
+            return fn.apply(context, arguments);
+        };
+    };
+    
+    /**
+     *  DropdownCore
+     * 
+     *  Description:
+     *     The headless part of the dropdown widget: the show/hide state machine, named timers, event emission and the anchor point math.
+     *     It has no dependencies and never touches the DOM, so it can be unit tested in Node (e.g. with fake timers). Adapters
+     *     ("dropdown.js" for jQuery, "dropdown-dom.js" for the native DOM) create one core per dropdown and supply the DOM side via hooks.
+     * 
+     *     States: "hidden" -> "showing" -> "visible" -> "hiding" -> "hidden". A show or hide that starts while the opposite one is
+     *     still running interrupts it.
+     * 
+     *     Example Usage:
+     *             var core = new DropdownCore({
+     *                 animate: function (isShowing, done) { setTimeout(done, 200); }
+     *             });
+     *             core.on("show", function (ev) { console.log("shown", ev.data); });
+     *             core.show();
+     * 
+     *     @module dropdown-core
+     *     @constructor
+     *     @param {HashMap} hooks : Optional hooks supplied by the adapter...
+     *                  {Function} animate : Called with (isShowing, done) to show/hide the dropdown. Must call "done" once finished. (default: finishes right away)
+     *                  {Function} dispatch : Called with (eventName, data) for every emitted event, after the core's own listeners, e.g. to relay
+     *                                        events to DOM listeners. Return TRUE to cancel a cancelable event.
+     *                  {Function} finish : Called with (isShowing) once a show/hide has finished (i.e. wasn't interrupted).
+     *                  {Function} prepare : Called with (isShowing, data) once "beforeShow"/"beforeHide" has passed and a show/hide actually
+     *                                       starts, right before animating. Not called if the dropdown is already in (or heading to) that state.
+     *                  {Object} target : Supplied to listeners as "ev.instance" (and "ev.target"), typically the adapter instance. (default: the core)
+     *     @events beforeHide, beforeShow, hide, show, and anything else the adapter emits
+     */
+    var DropdownCore = function (hooks) {
+        
+        // Class properties.
+        this.hooks = hooks || {}; // Hooks supplied by the adapter (see above).
+        this.listeners = {}; // Event listeners by event name ("*" for the wildcard listeners).
+        this.state = "hidden"; // Observable. "hidden", "showing", "visible" or "hiding".
+        this.target = this.hooks.target || this; // Supplied to listeners as "ev.instance".
+        this.timers = {}; // Pending timers by name (see "setTimer").
+        this.transition = null; // The running show/hide, if any, e.g. { isShowing: true, callbacks: [] }.
+    
+    };
+    
+    DropdownCore.prototype = {
+        
+        /********************************************************************************************
+         * 
+         *  Public Methods
+         * 
+         ********************************************************************************************/
+        
+        /**
+         *  Cancel a pending timer.
+         *  @method clearTimer
+         *  @param {String} name : Name of the timer, e.g. "hide".
+         */
+        clearTimer: function (name) {
+            if (this.timers[name]) {
+                clearTimeout(this.timers[name]);
+                delete this.timers[name];
+            }
+        },
+        
+        /**
+         *  Cancel every timer, interrupt the running show/hide (its callbacks receive FALSE) and remove every listener.
+         *  @method destroy
+         */
+        destroy: function () {
+            for (var name in this.timers) {
+                if (this.timers.hasOwnProperty(name)) {
+                    this.clearTimer(name);
+                }
+            }
+            this._interrupt();
+            this.listeners = {};
+        },
+        
+        /**
+         *  Notify listeners of an event: first the listeners to that event, then the wildcard ("*") listeners, in the order they were 
+         *  added. A listener that throws doesn't stop the others; the error is rethrown asynchronously. Listeners can cancel the event 
+         *  via ev.preventDefault() (or by returning FALSE), and skip the remaining listeners via ev.stopImmediatePropagation().
+         *  @method emit
+         *  @param {String} eventName : Name of the event.
+         *  @param {*} data : Optional event-specific information, supplied as "ev.data" (and its "reason", if any, as "ev.reason").
+         *  @returns {DropdownCore.Event} : The event object. Check ev.isDefaultPrevented() to see whether it was canceled.
+         */
+        emit: function (eventName, data) {
+            var event = new DropdownCore.Event(eventName, this.target, data);
+            var listeners = (this.listeners[eventName] || []).concat(this.listeners["*"] || []); // a copy, since listeners may unsubscribe while being notified
+            for (var i = 0; i < listeners.length && !event.isImmediatePropagationStopped(); i++) {
+                try {
+                    if (listeners[i].call(this.target, event) === false) {
+                        event.preventDefault();
+                    }
+                } catch (error) {
+                    reportError(error);
+                }
+            }
+            if (this.hooks.dispatch && !event.isImmediatePropagationStopped() && this.hooks.dispatch(eventName, data) === true) {
+                event.preventDefault();
+            }
+            return event;
+        },
+        
+        /**
+         *  Is a timer pending?
+         *  @method hasTimer
+         *  @param {String} name : Name of the timer, e.g. "show".
+         *  @returns {Boolean}
+         */
+        hasTimer: function (name) {
+            return !!this.timers[name];
+        },
+        
+        /**
+         *  Hide the dropdown, unless a "beforeHide" listener cancels it. Cancels a pending "show" timer. If the dropdown is already being
+         *  hidden, the callback joins that hide instead (and no events are emitted).
+         *  @method hide
+         *  @param {*} data : Optional data supplied to "beforeHide" and "hide" listeners.
+         *  @param {Function} callback : Optional. Called with TRUE once hidden, or FALSE if the hide was canceled or interrupted.
+         *  @returns {Boolean} : FALSE if the hide was canceled.
+         */
+        hide: function (data, callback) {
+            this.clearTimer("show");
+            if (this.transition && !this.transition.isShowing) {
+                this._addCallback(callback);
+                return true;
+            }
+            if (this.emit("beforeHide", data).isDefaultPrevented()) {
+                this._runCallback(callback, false);
+                return false;
+            }
+            this._transition(false, data, callback);
+            return true;
+        },
+        
+        /**
+         *  Is the dropdown visible? While a show/hide runs, this is the state it's heading to.
+         *  @method isVisible
+         *  @returns {Boolean}
+         */
+        isVisible: function () {
+            return this.state === "showing" || this.state === "visible";
+        },
+        
+        /**
+         *  Unsubscribe from one or more events.
+         *  @method off
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide", or "*" for the wildcard listeners.
+         *  @param {Function} listener : The listener supplied to "on" or "once", or a listener wrapped by one (a wrapper function points to 
+         *                               the listener it wraps via its "listener" property). If omitted, every listener to these events is removed.
+         *  @returns {Boolean} : Was any listener removed?
+         */
+        off: function (eventNames, listener) {
+            var isRemoved = false;
+            eventNames = getEventNames(eventNames);
+            for (var i = 0; i < eventNames.length; i++) {
+                var listeners = this.listeners[eventNames[i]] || [];
+                for (var j = listeners.length - 1; j >= 0; j--) {
+                    for (var fn = listeners[j]; fn; fn = fn.listener) { // a wrapper points to the listener it wraps (see "once")
+                        if (!listener || fn === listener) {
+                            listeners.splice(j, 1);
+                            isRemoved = true;
+                            break;
+                        }
+                    }
+                }
+            }
+            return isRemoved;
+        },
+        
+        /**
+         *  Subscribe to one or more events.
+         *  @method on
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide", or "*" for every event.
+         *  @param {Function} listener : Called with the event object (see "emit").
+         *  @returns {Function} : Call to unsubscribe again.
+         */
+        on: function (eventNames, listener) {
+            eventNames = getEventNames(eventNames);
+            for (var i = 0; i < eventNames.length; i++) {
+                if (eventNames[i]) {
+                    (this.listeners[eventNames[i]] = this.listeners[eventNames[i]] || []).push(listener);
+                }
+            }
+            return bind(function () {
+                return this.off(eventNames, listener);
+            }, this);
+        },
+        
+        /**
+         *  Subscribe to the next occurrence of any of the given events. The listener is then unsubscribed from all of them.
+         *  @method once
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide", or "*" for every event.
+         *  @param {Function} listener : Called with the event object (see "emit").
+         *  @returns {Function} : Call to unsubscribe before the event occurs.
+         */
+        once: function (eventNames, listener) {
+            var dispose = null;
+            var wrapper = function (event) {
+                dispose();
+                return listener.call(this, event);
+            };
+            wrapper.listener = listener; // so that "off" finds it
+            dispose = this.on(eventNames, wrapper);
+            return dispose;
+        },
+        
+        /**
+         *  Run a function after a delay. Setting a timer that is already pending restarts it.
+         *  @method setTimer
+         *  @param {String} name : Name of the timer, e.g. "hide" or "show".
+         *  @param {Function} callback : Function to run.
+         *  @param {Integer} delay : Delay (in ms).
+         */
+        setTimer: function (name, callback, delay) {
+            this.clearTimer(name);
+            var timers = this.timers;
+            var timer = timers[name] = setTimeout(function () {
+                if (timers[name] === timer) {
+                    delete timers[name];
+                }
+                callback();
+            }, delay);
+        },
+        
+        /**
+         *  Show the dropdown, unless a "beforeShow" listener cancels it. Calling it while the dropdown is visible emits the events again
+         *  (without running the "prepare" hook), so that adapters can reposition it.
+         *  @method show
+         *  @param {*} data : Optional data supplied to "beforeShow" and "show" listeners.
+         *  @param {Function} callback : Optional. Called with TRUE once shown, or FALSE if the show was canceled or interrupted.
+         *  @returns {Boolean} : FALSE if the show was canceled.
+         */
+        show: function (data, callback) {
+            if (this.emit("beforeShow", data).isDefaultPrevented()) {
+                this._runCallback(callback, false);
+                return false;
+            }
+            this._transition(true, data, callback);
+            return true;
+        },
+        
+        /**
+         *  Show the dropdown if it's hidden, otherwise hide it.
+         *  @method toggle
+         *  @param {*} data : Optional data supplied to the listeners.
+         *  @param {Function} callback : Optional. See "show" and "hide".
+         *  @returns {Boolean} : FALSE if the show/hide was canceled.
+         */
+        toggle: function (data, callback) {
+            return this.isVisible() ? this.hide(data, callback) : this.show(data, callback);
+        },
+        
+        /********************************************************************************************
+         * 
+         *  Private Methods (pseudo-private)
+         * 
+         ********************************************************************************************/
+        
+        /**
+         *  Add a callback to the running show/hide.
+         *  @method _addCallback
+         *  @param {Function} callback : Optional callback.
+         *  @private
+         */
+        _addCallback: function (callback) {
+            if (callback) {
+                this.transition.callbacks.push(callback);
+            }
+        },
+        
+        /**
+         *  Interrupt the running show/hide, if any. Its callbacks receive FALSE.
+         *  @method _interrupt
+         *  @private
+         */
+        _interrupt: function () {
+            var transition = this.transition;
+            if (transition) {
+                this.transition = null;
+                for (var i = 0; i < transition.callbacks.length; i++) {
+                    transition.callbacks[i](false);
+                }
+            }
+        },
+        
+        /**
+         *  Run an optional callback.
+         *  @method _runCallback
+         *  @param {Function} callback : Optional callback.
+         *  @param {Boolean} isDone : Value supplied to the callback.
+         *  @private
+         */
+        _runCallback: function (callback, isDone) {
+            if (callback) {
+                callback(isDone);
+            }
+        },
+        
+        /**
+         *  Move towards "visible" or "hidden" via the "animate" hook, then emit "show"/"hide". Joins a running transition in the same
+         *  direction, and interrupts one in the opposite direction. If the dropdown is already in the requested state, it finishes right away.
+         *  Only a transition that actually starts runs the "prepare" hook.
+         *  @method _transition
+         *  @param {Boolean} isShowing : Show (TRUE) or hide (FALSE)?
+         *  @param {*} data : Data supplied to the "prepare" hook and the "show"/"hide" listeners.
+         *  @param {Function} callback : Optional. Called with TRUE once finished, or FALSE if interrupted.
+         *  @private
+         */
+        _transition: function (isShowing, data, callback) {
+            var hooks = this.hooks;
+            var eventName = isShowing ? "show" : "hide";
+            var onDone = function (isDone) {
+                if (isDone) {
+                    this.emit(eventName, data);
+                }
+                this._runCallback(callback, isDone);
+            };
+            var current = this.transition;
+            if (current) {
+                if (current.isShowing === isShowing) {
+                    current.callbacks.push(bind(onDone, this));
+                    return;
+                }
+            } else if (this.isVisible() === isShowing) { // nothing to animate
+                bind(onDone, this)(true);
+                return;
+            }
+            if (hooks.prepare) {
+                hooks.prepare(isShowing, data);
+            }
+            if (current) {
+                this._interrupt();
+            }
+            
+            var transition = this.transition = { isShowing: isShowing, callbacks: [bind(onDone, this)] };
+            this.state = isShowing ? "showing" : "hiding";
+            var done = bind(function () { // called by the "animate" hook once it's finished
+                if (this.transition === transition) {
+                    this.transition = null;
+                    this.state = isShowing ? "visible" : "hidden";
+                    if (hooks.finish) {
+                        hooks.finish(isShowing);
+                    }
+                    for (var i = 0; i < transition.callbacks.length; i++) {
+                        transition.callbacks[i](true);
+                    }
+                }
+            }, this);
+            if (hooks.animate) {
+                hooks.animate(isShowing, done);
+            } else {
+                done();
+            }
+        }
+    
+    };
+    
+    /**
+     *  An event emitted by the core (see "emit"). Listeners can tell what happened and to which dropdown without parsing the data.
+     *  @constructor
+     *  @param {String} type : Name of the event.
+     *  @param {Object} instance : The dropdown (see "target" hook).
+     *  @param {*} data : Optional event-specific information.
+     *  @static
+     */
+    DropdownCore.Event = function (type, instance, data) {
+        this.type = type; // Name of the event, e.g. "show".
+        this.instance = instance; // The dropdown the event belongs to.
+        this.target = instance; // Alias of "instance".
+        this.data = data; // Event-specific information, if any.
+        this.reason = (data && data.reason) || null; // Why the dropdown is being shown/hidden, if known, e.g. "click-outside".
+        this.timestamp = new Date().getTime(); // When the event was emitted (in ms since the epoch).
+        this.isPrevented = false;
+        this.isStopped = false;
+        this.isImmediatelyStopped = false;
+    };
+    
+    DropdownCore.Event.prototype = {
+        
+        /**
+         *  Has the event been canceled?
+         *  @method isDefaultPrevented
+         *  @returns {Boolean}
+         */
+        isDefaultPrevented: function () {
+            return this.isPrevented;
+        },
+        
+        /**
+         *  Has "stopImmediatePropagation" been called?
+         *  @method isImmediatePropagationStopped
+         *  @returns {Boolean}
+         */
+        isImmediatePropagationStopped: function () {
+            return this.isImmediatelyStopped;
+        },
+        
+        /**
+         *  Has "stopPropagation" (or "stopImmediatePropagation") been called?
+         *  @method isPropagationStopped
+         *  @returns {Boolean}
+         */
+        isPropagationStopped: function () {
+            return this.isStopped;
+        },
+        
+        /**
+         *  Cancel the event, if it's cancelable (e.g. "beforeShow" or "beforeHide").
+         *  @method preventDefault
+         */
+        preventDefault: function () {
+            this.isPrevented = true;
+        },
+        
+        /**
+         *  Skip the remaining listeners of this event.
+         *  @method stopImmediatePropagation
+         */
+        stopImmediatePropagation: function () {
+            this.isImmediatelyStopped = true;
+            this.isStopped = true;
+        },
+        
+        /**
+         *  Only recorded, for compatibility with DOM events: events are emitted by a single dropdown and don't propagate anywhere.
+         *  @method stopPropagation
+         */
+        stopPropagation: function () {
+            this.isStopped = true;
+        }
+        
+    };
+    
+    /**
+     *  Get the arrow's position (see "arrowEnabled" config) relative to the top left corner of the dropdown's padding box: centered on
+     *  the anchor along the edge facing it, but kept within that edge.
+     *  @method getArrowPosition
+     *  @param {String} side : Side of the anchor the dropdown is on ("above", "below", "left" or "right"; see "getPlacement"), or NULL.
+     *  @param {HashMap} anchor : The anchor box, e.g. { x: x, y: y, w: width, h: height }.
+     *  @param {HashMap} box : The dropdown's padding box, in the same coordinates.
+     *  @param {HashMap} arrowSize : The arrow's size, e.g. { w: width, h: height }.
+     *  @returns {HashMap} : e.g. { side: "below", x: x, y: y, width: width, height: height }, or NULL if there's no side.
+     *  @static
+     */
+    DropdownCore.getArrowPosition = function (side, anchor, box, arrowSize) {
+        if (!side) {
+            return null;
+        }
+        var arrow = { side: side, x: 0, y: 0, width: arrowSize.w, height: arrowSize.h };
+        var clamp = function (value, max) {
+            return Math.round(Math.max(0, Math.min(value, max)));
+        };
+        if (side === "above" || side === "below") {
+            arrow.x = clamp(anchor.x + anchor.w / 2 - box.x - arrow.width / 2, box.w - arrow.width);
+            arrow.y = (side === "below") ? -arrow.height : box.h;
+        } else {
+            arrow.x = (side === "right") ? -arrow.width : box.w;
+            arrow.y = clamp(anchor.y + anchor.h / 2 - box.y - arrow.height / 2, box.h - arrow.height);
+        }
+        return arrow;
+    };
+    
+    /**
+     *  Describe where an anchor point puts the dropdown: the side of the anchor it's on (or NULL if it overlaps the anchor), and the
+     *  corner/edge nearest the anchor as a CSS "transform-origin" value.
+     *  @method getPlacement
+     *  @param {String} anchorPoint : Anchor point, e.g. "left below".
+     *  @returns {HashMap} : e.g. { side: "below", origin: "left top" }.
+     *  @static
+     */
+    DropdownCore.getPlacement = function (anchorPoint) {
+        var side = null;
+        var origin = { x: "left", y: "top" };
+        var names = String(anchorPoint).split(/\s+/);
+        for (var i = 0; i < names.length; i++) {
+            switch (names[i]) {
+                case "above":         side = "above"; origin.y = "bottom"; break;
+                case "below":         side = "below"; origin.y = "top"; break;
+                case "outside-left":  side = "left"; origin.x = "right"; break;
+                case "outside-right": side = "right"; origin.x = "left"; break;
+                case "left":
+                case "right":         origin.x = names[i]; break;
+                case "top":
+                case "bottom":        origin.y = names[i]; break;
+                case "center":        origin.x = names[i]; break;
+            }
+        }
+        return { side: side, origin: origin.x + " " + origin.y };
+    };
+    
+    /**
+     *  Position a dropdown box relative to an anchor box. The anchor point's strategies (see "registerAnchorStrategy") place the box,
+     *  then the middleware adjusts it, in sequence. Each middleware is a function called with (state, place), where "state" holds the
+     *  anchor, anchorPoint (physical), offset, size, viewport and the box's current x and y, and "place" lays out another anchor point
+     *  the way the preceding middleware would have, returning its state. It returns the state properties it changes, if any.
+     *  Built-in middleware, which can be named instead of passing a function:
+     *      "offset" : Adds the offset (see "setPositionOffset" in the adapters).
+     *      "flip"   : Flips any dimension that overflows the viewport to the opposite side of the anchor, if that overflows less.
+     *      "shift"  : Shifts the box along each axis until it's visible (if it's larger than the viewport, it's aligned with the top/left edge).
+     *      "size"   : Sets "maxWidth" and "maxHeight" to the space between the box and the viewport edges it grows towards.
+     *  Logical anchor points ("start", "end", "outside-start", "outside-end") mean left/right in left-to-right text. In right-to-left 
+     *  text, the whole layout is mirrored, including the horizontal offset: e.g. "start below" aligns the right edges, and a positive 
+     *  offset moves the dropdown left. Middleware then works on the mirror image. Physical anchor points are never mirrored.
+     *  @method getPosition
+     *  @param {HashMap} anchor : The anchor box relative to the document, e.g. { x: x, y: y, w: width, h: height }.
+     *  @param {HashMap} size : The dropdown's size, e.g. { w: width, h: height }.
+     *  @param {String} anchorPoint : Anchor point, e.g. "left below" or "start below" (see "anchorPoint" config).
+     *  @param {HashMap} options : Optional...
+     *                  {String} direction : Text direction of the anchor, "ltr" (default) or "rtl".
+     *                  {Array} middleware : Middleware functions and/or names, run in order. Unknown names are ignored. (default: 
+     *                                       ["offset", "flip", "shift"] with a viewport, otherwise ["offset"])
+     *                  {HashMap} offset : Offset applied by the "offset" middleware, e.g. { x: 0, y: 0 }.
+     *                  {HashMap} viewport : The visible part of the document, e.g. { x: scrollX, y: scrollY, w: width, h: height }. Required
+     *                                       by "flip", "shift" and "size".
+     *  @returns {HashMap} : Top left corner of the dropdown relative to the document, and the physical anchor point actually used,
+     *                       e.g. { x: x, y: y, anchorPoint: "left above" }, plus "maxWidth" and "maxHeight" if the "size" middleware
+     *                       ran. NULL if the anchor point is invalid.
+     *  @static
+     */
+    DropdownCore.getPosition = function (anchor, size, anchorPoint, options) {
+        options = options || {};
+        var names = String(anchorPoint).split(" ");
+        var offset = options.offset || { x: 0, y: 0 };
+        var viewport = options.viewport;
+        var steps = options.middleware || (viewport ? ["offset", "flip", "shift"] : ["offset"]);
+        var isMirrored = false;
+        for (var i = 0; i < names.length; i++) {
+            if (logicalStrategies[names[i]]) {
+                names[i] = logicalStrategies[names[i]];
+                isMirrored = options.direction === "rtl";
+            }
+        }
+        if (names.length !== 2 || (!strategies[names[0]] && !strategies[names[1]])) {
+            return null;
+        }
+        
+        // Right-to-left: lay out the mirror image, then mirror the result.
+        if (isMirrored) {
+            anchor = mirror(anchor);
+            viewport = viewport && mirror(viewport);
+        }
+        
+        // Place the box by the strategies of an anchor point, then run the first "count" middleware over it.
+        var layout = function (anchorPoint, count) {
+            var state = { anchor: anchor, anchorPoint: anchorPoint, offset: offset, size: size, viewport: viewport, x: anchor.x, y: anchor.y };
+            var names = anchorPoint.split(" ");
+            for (var i = 0; i < names.length; i++) {
+                if (strategies[names[i]]) {
+                    var position = strategies[names[i]](anchor, size);
+                    state.x = ("x" in position) ? position.x : state.x;
+                    state.y = ("y" in position) ? position.y : state.y;
+                }
+            }
+            for (i = 0; i < count; i++) {
+                var step = (typeof steps[i] === "function") ? steps[i] : middleware[steps[i]];
+                var changes = step ? step(state, getPlacer(i)) : null;
+                for (var key in changes) {
+                    if (changes.hasOwnProperty(key)) {
+                        state[key] = changes[key];
+                    }
+                }
+            }
+            return state;
+        };
+        var getPlacer = function (count) {
+            return function (anchorPoint) {
+                return layout(anchorPoint, count);
+            };
+        };
+        
+        var state = layout(names.join(" "), steps.length);
+        var box = { x: state.x, y: state.y, w: size.w, h: size.h };
+        names = state.anchorPoint.split(" ");
+        if (isMirrored) {
+            box = mirror(box);
+            for (i = 0; i < names.length; i++) {
+                names[i] = mirroredStrategies[names[i]] || names[i];
+            }
+        }
+        
+        var result = { x: Math.round(box.x), y: Math.round(box.y), anchorPoint: names.join(" ") };
+        if (typeof state.maxWidth === "number") {
+            result.maxWidth = Math.round(state.maxWidth);
+        }
+        if (typeof state.maxHeight === "number") {
+            result.maxHeight = Math.round(state.maxHeight);
+        }
+        return result;
+    };
+    
+    /**
+     *  Register an anchor point strategy, which can then be used as either half of an anchor point (see "anchorPoint" config), e.g.
+     *  "left my-strategy". A strategy positions one axis of the dropdown: it's called with (anchor, size), the anchor (catalyst) box 
+     *  relative to the document, e.g. { x: x, y: y, w: width, h: height }, and the dropdown's size, e.g. { w: width, h: height }, 
+     *  and returns either { x: x } or { y: y }. It must not depend on anything else, since it's also called to find out its axis.
+     *  @method registerAnchorStrategy
+     *  @param {String} name : Name of the strategy. Registering an existing name replaces it, but logical names can't be replaced.
+     *  @param {Function} strategy : The strategy.
+     *  @param {String} opposite : Optional. The strategy that the "flip" middleware swaps this one for when it overflows.
+     *  @returns {Boolean} : Was the strategy registered?
+     *  @static
+     */
+    DropdownCore.registerAnchorStrategy = function (name, strategy, opposite) {
+        if (typeof name !== "string" || !/^\S+$/.test(name) || logicalStrategies.hasOwnProperty(name) || typeof strategy !== "function") {
+            return false;
+        }
+        var position = strategy({ x: 0, y: 0, w: 0, h: 0 }, { w: 0, h: 0 });
+        if (!position || typeof position !== "object" || (!("x" in position) && !("y" in position))) {
+            return false;
+        }
+        strategies[name] = strategy;
+        axes[name] = ("x" in position) ? "x" : "y";
+        if (typeof opposite === "string") {
+            opposites[name] = opposite;
+        }
+        return true;
+    };
+    
+    return DropdownCore;
+
+}));
@@ -0,0 +1,488 @@
+(function (factory) {
+    
+    // AMD, CommonJS or a plain global.
+    if (typeof define === "function" && define.amd) {
+        define(["./dropdown-core"], factory);
+    } else if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./dropdown-core"));
+    } else {
+        window.DropdownDom = factory(window.DropdownCore);
+    }
+
+}(function (DropdownCore) {
+    
+    // Key codes used for keyboard interaction.
+    var keyCodes = {
+        escape: 27
+    };
+    
+    // Ignore the rejection of a promise returned by "show", "hide" or "toggle", for calls made by this adapter itself.
+    var noop = function () {};
+    
+    /**
+     *  DropdownDom
+     * 
+     *  Description:
+     *     A thin native DOM adapter for the headless core ("dropdown-core.js"), for pages without jQuery (e.g. vanilla or React pages).
+     *     It uses the same markup and class names as the jQuery widget ("dropdown.js"), so "dropdown.css" applies, and covers the basics:
+     *     click or hover trigger, positioning via anchor points (with optional collision detection), and hiding on mouseleave,
+     *     outside clicks, Escape and viewport resizes. For items, filtering, accessibility and the rest, use the jQuery widget.
+     * 
+     *     Example Usage:
+     *             var myDropdown = new DropdownDom(document.getElementById("my-button-catalyst"), {
+     *                 anchorPoint: "right below"  // optional
+     *             });
+     *             myDropdown.render("Hello world!");
+     *             myDropdown.on("show", function (ev) { console.log("shown", ev.instance); });
+     * 
+     *     @module dropdown-dom
+     *     @constructor
+     *     @param {HTMLElement} catalyst : The catalyst element. Clicking it (or hovering over it) shows the dropdown.
+     *     @param {HashMap} config : Configuration object...
+     *                  {String} anchorPoint : Anchor point of the dropdown, as in the jQuery widget (including logical ones, e.g. "start below"). (default: "left below")
+     *                  {String} className : Custom class name(s) to be applied to the root dropdown element.
+     *                  {Boolean} collisionDetectionEnabled : If TRUE, the dropdown flips and/or shifts to stay inside the viewport. (default: false)
+     *                  {HTMLElement} container : Element to append the dropdown root to. (default: document.body)
+     *                  {Integer} hideDelay : Duration to wait after the pointer leaves the dropdown before hiding it (in ms). (default: 500)
+     *                  {Boolean} manualShowEnabled : If TRUE, the catalyst doesn't show the dropdown; call "show" yourself. (default: false)
+     *                  {Boolean} mouseBoundaryDetectionEnabled : If FALSE, the dropdown ignores the pointer leaving it. (default: true)
+     *                  {Integer} showDelay : Hover trigger only. Duration to wait after the pointer enters the catalyst before showing the dropdown (in ms). (default: 200)
+     *                  {String} trigger : "click" (default) or "hover".
+     *     @events beforeHide, beforeShow, destroy, hide, initialize, position, render, show
+     */
+    var DropdownDom = function (catalyst, config) {
+        
+        // Parse arguments.
+        if (!catalyst || !catalyst.nodeType) {
+            return this._throwError("no catalyst specified");
+        }
+        config = config || {};
+        
+        // Class properties.
+        this.catalyst = catalyst;
+        this.anchorPoint = config.anchorPoint || "left below"; // Configurable. Anchor point of the dropdown.
+        this.resolvedAnchorPoint = null; // Observable. The anchor point actually used the last time the dropdown was positioned.
+        this.container = config.container || document.body; // Configurable. Element the dropdown root is appended to.
+        this.core = null; // The headless core, which owns the visibility state, timers and event emission.
+        this.elements = {
+            root: null,
+            content: null
+        };
+        this.hideDelay = (typeof config.hideDelay === "number") ? config.hideDelay : 500; // Configurable. Time to wait (in ms) before hiding the dropdown after the pointer leaves it.
+        this.isCollisionDetectionEnabled = config.collisionDetectionEnabled === true; // Configurable. If TRUE, the dropdown is kept inside the viewport.
+        this.isManualShowEnabled = config.manualShowEnabled === true; // Configurable. If TRUE, the catalyst doesn't show the dropdown.
+        this.isMouseBoundaryDetectionEnabled = config.mouseBoundaryDetectionEnabled !== false; // Configurable. If TRUE, the dropdown hides once the pointer has left it (and the catalyst).
+        this.listeners = []; // DOM listeners added by this instance, removed by "destroy", e.g. [{ el: el, type: type, listener: listener }].
+        this.positionOffset = { x: 0, y: 0 }; // Configurable via "setPositionOffset". Offset default positioning by these amounts (in pixels).
+        this.showDelay = (typeof config.showDelay === "number") ? config.showDelay : 200; // Configurable. Hover trigger only. Time to wait (in ms) before showing the dropdown.
+        this.trigger = (config.trigger === "hover") ? "hover" : "click"; // Configurable. User interaction on the catalyst that shows the dropdown.
+        
+        // More initialization...
+        this._initialize(config);
+    
+    };
+    
+    DropdownDom.prototype = {
+        
+        /********************************************************************************************
+         * 
+         *  Public Methods
+         * 
+         ********************************************************************************************/
+        
+        /**
+         *  Destroy this instance: remove the generated DOM and every listener, and cancel pending timers. A running show/hide is interrupted.
+         *  @method destroy
+         */
+        destroy: function () {
+            this.core.emit("destroy");
+            this.core.destroy();
+            for (var i = 0; i < this.listeners.length; i++) {
+                this.listeners[i].el.removeEventListener(this.listeners[i].type, this.listeners[i].listener, false);
+            }
+            this.listeners = [];
+            if (this.elements.root.parentNode) {
+                this.elements.root.parentNode.removeChild(this.elements.root);
+            }
+        },
+        
+        /**
+         *  Get the root element of the dropdown.
+         *  @method getRootElement
+         *  @returns {HTMLElement}
+         */
+        getRootElement: function () {
+            return this.elements.root;
+        },
+        
+        /**
+         *  Hide the dropdown. Listeners to "beforeHide" can cancel this via ev.preventDefault().
+         *  @method hide
+         *  @param {String} reason : Why the dropdown is being hidden, supplied to listeners as ev.data.reason. (default: "api")
+         *  @returns {Promise} : Resolved with this instance once hidden. Rejected if the hide was canceled, or interrupted by "show".
+         */
+        hide: function (reason) {
+            return this._getPromise(function (callback) {
+                this._hide(reason || "api", callback);
+            });
+        },
+        
+        /**
+         *  Is the dropdown visible? While it's being shown/hidden, this is the state it's heading to.
+         *  @method isVisible
+         *  @returns {Boolean}
+         */
+        isVisible: function () {
+            return this.core.isVisible();
+        },
+        
+        /**
+         *  Unsubscribe from one or more events.
+         *  @method off
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide", or "*".
+         *  @param {Function} listener : The listener supplied to "on" or "once". If omitted, every listener to these events is removed.
+         *  @returns {Boolean} : Was any listener removed?
+         */
+        off: function (eventNames, listener) {
+            return this.core.off(eventNames, listener);
+        },
+        
+        /**
+         *  Subscribe to one or more events, or to every event via "*". Listeners receive a "DropdownCore.Event" with "type", "instance"
+         *  (this instance), "data", "reason" and "timestamp". A listener that throws doesn't stop the others.
+         *  @method on
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide".
+         *  @param {Function} listener : Called with the event object.
+         *  @returns {Function} : Call to unsubscribe again.
+         */
+        on: function (eventNames, listener) {
+            return this.core.on(eventNames, listener);
+        },
+        
+        /**
+         *  Subscribe to the next occurrence of any of the given events (see "on").
+         *  @method once
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide".
+         *  @param {Function} listener : Called with the event object.
+         *  @returns {Function} : Call to unsubscribe before the event occurs.
+         */
+        once: function (eventNames, listener) {
+            return this.core.once(eventNames, listener);
+        },
+        
+        /**
+         *  Write content to the content area of the dropdown, replacing the existing content unless appending.
+         *  @method render
+         *  @param {String|HTMLElement} content : HTML string or DOM node.
+         *  @param {Boolean} isAppend : If TRUE, the content is appended to the existing content.
+         *  @returns {Boolean} : Was content written?
+         */
+        render: function (content, isAppend) {
+            var contentEl = this.elements.content;
+            if (!content) {
+                return false;
+            }
+            if (!isAppend) {
+                contentEl.innerHTML = "";
+            }
+            if (typeof content === "string") {
+                contentEl.insertAdjacentHTML("beforeend", content);
+            } else {
+                contentEl.appendChild(content);
+            }
+            this.core.emit("render");
+            return true;
+        },
+        
+        /**
+         *  Position the dropdown against the catalyst, according to the anchor point.
+         *  @method setPosition
+         */
+        setPosition: function () {
+            this._setPosition();
+        },
+        
+        /**
+         *  Alter the dropdown's default positioning with relative offset values.
+         *  @method setPositionOffset
+         *  @param {Integer} x : Number of pixels to offset on x-axis. Can be a negative value.
+         *  @param {Integer} y : Number of pixels to offset on y-axis. Can be a negative value.
+         */
+        setPositionOffset: function (x, y) {
+            if (typeof x === "number") {
+                this.positionOffset.x = x;
+            }
+            if (typeof y === "number") {
+                this.positionOffset.y = y;
+            }
+        },
+        
+        /**
+         *  Show the dropdown. Listeners to "beforeShow" can cancel this via ev.preventDefault().
+         *  @method show
+         *  @returns {Promise} : Resolved with this instance once shown. Rejected if the show was canceled, or interrupted by "hide".
+         */
+        show: function () {
+            return this._getPromise(this._show);
+        },
+        
+        /**
+         *  Show the dropdown if it's hidden, otherwise hide it.
+         *  @method toggle
+         *  @returns {Promise} : The promise returned by "show" or "hide".
+         */
+        toggle: function () {
+            return this.isVisible() ? this.hide("toggle") : this.show();
+        },
+        
+        /********************************************************************************************
+         * 
+         *  Private Methods (pseudo-private)
+         * 
+         ********************************************************************************************/
+        
+        /**
+         *  Add a DOM listener that is removed by "destroy".
+         *  @method _addListener
+         *  @param {EventTarget} el : Element (or window/document) to listen to.
+         *  @param {String} type : Event type.
+         *  @param {Function} listener : Called with the DOM event, in the context of this instance.
+         *  @private
+         */
+        _addListener: function (el, type, listener) {
+            var self = this;
+            var wrapped = function (ev) {
+                listener.call(self, ev);
+            };
+            el.addEventListener(type, wrapped, false);
+            this.listeners.push({ el: el, type: type, listener: wrapped });
+        },
+        
+        /**
+         *  Build the root and content elements, hidden, and append them to the container.
+         *  @method _buildStructure
+         *  @param {String} className : Optional custom class name(s) for the root element.
+         *  @private
+         */
+        _buildStructure: function (className) {
+            var rootEl = this.elements.root = document.createElement("div");
+            var contentEl = this.elements.content = document.createElement("div");
+            rootEl.className = "module-dd" + (className ? " " + className : "");
+            rootEl.style.display = "none";
+            rootEl.style.position = "absolute";
+            contentEl.className = "module-dd-content";
+            rootEl.appendChild(contentEl);
+            this.container.appendChild(rootEl);
+        },
+        
+        /**
+         *  Get the anchor box: the catalyst's position and size, relative to the document.
+         *  @method _getCatalystPosition
+         *  @returns {HashMap} : e.g. { x: x, y: y, w: width, h: height }
+         *  @private
+         */
+        _getCatalystPosition: function () {
+            var rect = this.catalyst.getBoundingClientRect();
+            return {
+                x: Math.round(rect.left + window.pageXOffset),
+                y: Math.round(rect.top + window.pageYOffset),
+                w: Math.round(rect.width),
+                h: Math.round(rect.height)
+            };
+        },
+        
+        /**
+         *  Get the document coordinates of the root element's containing block: its offset parent's padding box, or the document itself.
+         *  @method _getContainingBlockOrigin
+         *  @returns {HashMap} : e.g. { x: x, y: y }
+         *  @private
+         */
+        _getContainingBlockOrigin: function () {
+            var parentEl = this.elements.root.offsetParent;
+            if (!parentEl || parentEl === document.body || parentEl === document.documentElement) {
+                return { x: 0, y: 0 };
+            }
+            var rect = parentEl.getBoundingClientRect();
+            return {
+                x: rect.left + window.pageXOffset + parentEl.clientLeft - parentEl.scrollLeft,
+                y: rect.top + window.pageYOffset + parentEl.clientTop - parentEl.scrollTop
+            };
+        },
+        
+        /**
+         *  Wrap a callback-style show/hide in a Promise.
+         *  @method _getPromise
+         *  @param {Function} fn : Called in the context of this instance with a callback, which receives TRUE on success.
+         *  @returns {Promise}
+         *  @private
+         */
+        _getPromise: function (fn) {
+            var self = this;
+            return new Promise(function (resolve, reject) {
+                fn.call(self, function (isDone) {
+                    return isDone ? resolve(self) : reject();
+                });
+            });
+        },
+        
+        /**
+         *  Hide the dropdown (see "hide").
+         *  @method _hide
+         *  @param {String} reason : Why the dropdown is being hidden.
+         *  @param {Function} callback : Optional. Called with TRUE once hidden, or FALSE if canceled or interrupted.
+         *  @private
+         */
+        _hide: function (reason, callback) {
+            this.core.hide({ reason: reason }, callback);
+        },
+        
+        /**
+         *  Create the core, build the DOM and add the listeners.
+         *  @method _initialize
+         *  @param {HashMap} config : Configuration object.
+         *  @private
+         */
+        _initialize: function (config) {
+            var self = this;
+            this.core = new DropdownCore({
+                finish: function (isShowing) {
+                    if (!isShowing) {
+                        self.elements.root.style.display = "none";
+                    }
+                },
+                prepare: function (isShowing) {
+                    if (isShowing) {
+                        self.elements.root.style.display = "block"; // overrides the stylesheet
+                    }
+                },
+                target: this
+            });
+            this._buildStructure(config.className);
+            var rootEl = this.elements.root;
+            
+            // Catalyst.
+            if (!this.isManualShowEnabled) {
+                if (this.trigger === "hover") {
+                    this._addListener(this.catalyst, "mouseenter", function () {
+                        this.core.clearTimer("hide");
+                        if (!this.isVisible()) {
+                            this.core.setTimer("show", function () {
+                                self._show();
+                            }, this.showDelay);
+                        }
+                    });
+                } else {
+                    this._addListener(this.catalyst, "click", function (ev) {
+                        ev.preventDefault();
+                        this.toggle().then(null, noop);
+                    });
+                }
+            }
+            
+            // Hide once the pointer has left both the dropdown and the catalyst, unless it comes back in time.
+            if (this.isMouseBoundaryDetectionEnabled) {
+                var scheduleHide = function () {
+                    if (this.isVisible()) {
+                        this.core.setTimer("hide", function () {
+                            self._hide("mouseleave");
+                        }, this.hideDelay);
+                    }
+                };
+                this._addListener(rootEl, "mouseenter", function () {
+                    this.core.clearTimer("hide");
+                });
+                this._addListener(rootEl, "mouseleave", scheduleHide);
+                if (this.trigger === "hover") {
+                    this._addListener(this.catalyst, "mouseleave", function () {
+                        this.core.clearTimer("show");
+                        scheduleHide.call(this);
+                    });
+                }
+            }
+            
+            // Clicks outside, Escape and viewport resizes hide the dropdown.
+            this._addListener(document, "click", function (ev) {
+                if (this.isVisible() && !this.catalyst.contains(ev.target) && !rootEl.contains(ev.target) && document.documentElement.contains(ev.target)) {
+                    this._hide("click-outside");
+                }
+            });
+            this._addListener(document, "keydown", function (ev) {
+                if (ev.keyCode === keyCodes.escape && this.isVisible()) {
+                    this._hide("escape");
+                }
+            });
+            this._addListener(window, "resize", function () {
+                if (this.isVisible()) {
+                    this._hide("resize");
+                }
+            });
+            
+            this.core.emit("initialize");
+        },
+        
+        /**
+         *  Position the root element (see "setPosition"). A hidden root is measured without being displayed. Logical anchor points are 
+         *  resolved against the catalyst's text direction.
+         *  @method _setPosition
+         *  @private
+         */
+        _setPosition: function () {
+            var rootEl = this.elements.root;
+            var isHidden = rootEl.style.display === "none";
+            if (isHidden) {
+                rootEl.style.visibility = "hidden";
+                rootEl.style.display = "block";
+            }
+            var docEl = document.documentElement;
+            var direction = (window.getComputedStyle(this.catalyst).direction === "rtl") ? "rtl" : "ltr";
+            var position = DropdownCore.getPosition(
+                this._getCatalystPosition(),
+                { w: rootEl.offsetWidth, h: rootEl.offsetHeight },
+                this.anchorPoint,
+                {
+                    direction: direction,
+                    offset: this.positionOffset,
+                    viewport: this.isCollisionDetectionEnabled ? { x: window.pageXOffset, y: window.pageYOffset, w: docEl.clientWidth, h: docEl.clientHeight } : null
+                }
+            );
+            var origin = this._getContainingBlockOrigin();
+            if (isHidden) {
+                rootEl.style.display = "none";
+                rootEl.style.visibility = "";
+            }
+            if (!position) {
+                return this._throwError("anchor point is invalid");
+            }
+            this.resolvedAnchorPoint = position.anchorPoint;
+            rootEl.setAttribute("dir", direction); // the content follows the catalyst's text direction
+            rootEl.style.left = Math.round(position.x - origin.x) + "px";
+            rootEl.style.top = Math.round(position.y - origin.y) + "px";
+            this.core.emit("position", { anchorPoint: position.anchorPoint });
+        },
+        
+        /**
+         *  Position and show the dropdown (see "show").
+         *  @method _show
+         *  @param {Function} callback : Optional. Called with TRUE once shown, or FALSE if canceled or interrupted.
+         *  @private
+         */
+        _show: function (callback) {
+            this._setPosition();
+            this.core.show(undefined, callback);
+        },
+        
+        /**
+         *  Custom error handling.
+         *  @method _throwError
+         *  @param {String} message : Error message to show.
+         *  @private
+         */
+        _throwError: function (message) {
+            console.log("Dropdown Widget : " + (message || "unknown error"));
+        }
+    
+    };
+    
+    return DropdownDom;
+
+}));
@@ -1,11 +1,111 @@
 define(function(require) {
     
-    // Ensure jQuery is available.
+    // Ensure jQuery and the headless core are available.
     var $ = (typeof require === "function") ? require("jquery") : window.jQuery;
     if (!$) {
         console.log("Dropdown Widget : could not load jQuery"); 
         return;
     }
+    var DropdownCore = (typeof require === "function") ? require("./dropdown-core") : window.DropdownCore;
+    if (!DropdownCore) {
+        console.log("Dropdown Widget : could not load the headless core"); 
+        return;
+    }
+    
+    // Key codes used for keyboard interaction (see "accessibilityEnabled" config).
+    var keyCodes = {
+        tab: 9,
+        enter: 13,
+        escape: 27,
+        space: 32,
+        end: 35,
+        home: 36,
+        left: 37,
+        up: 38,
+        right: 39,
+        down: 40,
+        contextMenu: 93,
+        f10: 121
+    };
+    
+    // Registered animations (see "animation" config and "Dropdown.registerAnimation"). The built-in ones are driven by CSS classes.
+    var animations = {
+        fade: { className: "module-dd-anim-fade" },
+        scale: { className: "module-dd-anim-scale" }, // scales from the corner/edge the dropdown is anchored to
+        slide: { className: "module-dd-anim-slide" } // slides in from the side of the catalyst
+    };
+    
+    // Live instances by unique ID (see "Dropdown.getInstance").
+    var instances = {};
+    
+    // Boolean config options named "<option>Enabled". In markup, the suffix may be left off (see "Dropdown.autoInit").
+    var enabledOptions = ["accessibility", "arrow", "collisionDetection", "filter", "focusTrap", "manualShow", "mouseBoundaryDetection", "virtualScroll"];
+    
+    // Visible instances, from bottom to top (see "_updateStacking").
+    var stackedInstances = [];
+    
+    // Page scroll lock shared by the visible bottom sheets (see "_lockSheet"): number of locks, the inline styles to restore, and the 
+    // page's scroll position before it was locked.
+    var scrollLock = { count: 0, styles: null, scrollTop: 0 };
+    
+    // Registered plugins, in the order they're applied (see "Dropdown.use"). The built-in behaviors are plugins too, so that they can be 
+    // disabled (see "plugins" config) or replaced.
+    var plugins = [
+        {
+            // Browser viewport resize should hide the dropdown if it's currently visible (or reposition it, if it's tracking the catalyst, or 
+            // a dialog, which could be in the middle of being filled in, or responsive, since the on-screen keyboard resizes the viewport).
+            name: "resize",
+            initialize: function (dropdown) {
+                $(window).on(dropdown._getEventName("resize"), $.proxy(function () {
+                    if (this.isVisible()) {
+                        if (this.isCatalystTrackingEnabled && this.presentation !== "sheet") {
+                            this._requestPosition();
+                        } else if (this.mode === "dialog" || this.sheet.mediaList) {
+                            this._setPosition();
+                        } else {
+                            this._fireCustomEvent("hideAfterResize", { reason: "resize" }); // differentiate this "hide" event as the result of a browser viewport resize
+                            this.hide("resize");
+                        }
+                    }
+                }, dropdown));
+            }
+        },
+        {
+            /*
+             *     Clicks (and right-clicks) outside the dropdown should hide it. Dialogs are hidden on pointerdown instead, so that releasing 
+             *     the mouse button outside (e.g. after selecting text in an input) doesn't close them. Required conditions:
+             *         1) The dropdown is currently visible.
+             *         2) The click did not originate from our catalyst (or any of its children).
+             *         3) The click did not originate from the dropdown itself (or any of its children).
+             *         4) The click target is still in the document (content re-rendered by the click, e.g. a "retry" link, is detached by now).
+             *     Inside a shadow root, the event target is retargeted to the host by now, so the composed path is checked as well.
+             */
+            name: "outsideClick",
+            initialize: function (dropdown) {
+                var outsideEventNames = ["click", "contextmenu"];
+                if (dropdown.mode === "dialog") {
+                    outsideEventNames = (typeof window.PointerEvent === "function") ? ["pointerdown"] : ["mousedown", "touchstart"];
+                }
+                $(document.body).on(dropdown._getEventNames(outsideEventNames).join(" "), $.proxy(function (ev) {
+                    var $evTarget = $(ev.target);
+                    var path = (ev.originalEvent && ev.originalEvent.composedPath) ? ev.originalEvent.composedPath() : [];
+                    if (!$.contains(document.documentElement, ev.target)) {
+                        return;
+                    }
+                    var isInside = $evTarget.closest(this.activeCatalyst).length || $evTarget.closest("." + this.namespace.css).length || 
+                        $.inArray(this.activeCatalyst.get(0), path) !== -1 || $.inArray(this.elements.root.get(0), path) !== -1;
+                    if (this.isVisible() && !isInside) {
+                        this.hide("click-outside");
+                    }
+                }, dropdown));
+            }
+        }
+    ];
+    
+    // Is this a valid animation adapter? Either { className: "..." } or { show: function (element, done, info) {}, hide: function (element, done, info) {} }.
+    var isAnimation = function (animation) {
+        return !!animation && (typeof animation.className === "string" || ($.isFunction(animation.show) && $.isFunction(animation.hide)));
+    };
     
     /**
      *  Dropdown
@@ -22,11 +122,14 @@ define(function(require) {
      *     Also, this widget doesn't care where its content comes from. Use the public "render" method to write 
      *     an HTML string to the content area.
      * 
+     *     The visibility state, timers, event emission and anchor point math live in the headless core ("dropdown-core.js"). 
+     *     This module is its jQuery adapter; "dropdown-dom.js" is a lighter one without dependencies.
+     * 
      *     Example Usage:
      *             var myButton = $("#my-button-catalyst");
      *             var myDropdown = new Dropdown(myButton, {
      *                 className: "sean_connery",  // optional
-     *                 fadeEffectDuration: 500,    // optional
+     *                 animation: "slide",         // optional
      *                 anchorPoint: "right below"  // optional
      *             });
      *             myDropdown.render("Hello world!");
@@ -35,14 +138,46 @@ define(function(require) {
      *     @constructor
      *     @param {HTMLElement} catalyst : The catalyst element. Interacting with this element (e.g. via "click") will spawn the dropdown. Interaction is configurable.
      *     @param {HashMap} config : Configuration object...
-     *                  {String} anchorPoint : Change the default anchor point of the dropdown. Accepted values: "left below" (default), "right below".
+     *                  {Boolean} accessibilityEnabled : If TRUE, the catalyst and dropdown follow the WAI-ARIA menu button pattern (ARIA attributes, keyboard navigation, focus management). (default: false)
+     *                  {String} anchorPoint : Change the default anchor point of the dropdown. Accepted values: "left below" (default), "right below", "center below", "left above", "right above", "center above", and for flyouts beside the catalyst "outside-right top", "outside-left top", "outside-right bottom", "outside-left bottom". "start" and "end" (and "outside-start"/"outside-end") may be used instead of "left" and "right"; they're resolved against the catalyst's text direction, and in right-to-left text the horizontal offset (see "setPositionOffset") is mirrored too.
+     *                  {String|Object} animation : Animation used to show/hide the dropdown: "fade" (default), "slide", "scale", any name registered via "Dropdown.registerAnimation", an animation adapter (see "Dropdown.registerAnimation") or "none". Skipped if the user prefers reduced motion.
+     *                  {Integer} animationDuration : Duration of the show/hide animation (in ms). (default: 200)
+     *                  {Boolean} arrowEnabled : If TRUE, an arrow element (class "module-dd-arrow") on the edge facing the catalyst points at the catalyst's center. Leave room for it via "setPositionOffset". (default: false)
      *                  {String} className : Custom class name(s) to be applied to the root dropdown element.
      *                  {String} catalystActiveClass : Custom class name(s) to be applied to the catalyst element whenever the dropdown is visible.
-     *                  {Integer} fadeEffectDuration : Duration of fade-in effect for show operation (in ms).
+     *                  {Boolean} closeOnSelect : Item API only. If FALSE, the dropdown stays open after an item is selected. (default: true)
+     *                  {Boolean} collisionDetectionEnabled : If TRUE, the dropdown flips to the opposite side of the catalyst and/or shifts along the axis to stay inside the viewport. Ignored if "middleware" is configured. (default: false, or true for the "contextmenu" trigger)
+     *                  {HTMLElement} container : Element to append the dropdown root to, instead of document.body (e.g. a modal or fullscreen element). The dropdown is positioned relative to the container's offset parent.
+     *                  {Integer} contentCacheTtl : Content provider only. How long (in ms) loaded content is reused before the provider is called again. (default: 0, i.e. no caching)
+     *                  {Function} contentProvider : Called with this instance whenever the dropdown is about to be shown. Must return a Promise or jQuery Deferred that resolves with the content to render.
+     *                  {String} delegate : Selector for descendants of the catalyst that activate the dropdown, including ones added later. One dropdown then serves all of them and is positioned against whichever was activated (see "getActiveCatalyst").
+     *                  {String} errorTemplate : Content provider only. HTML shown if loading fails. An element with class "module-dd-retry" inside it retries the load.
+     *                  {Integer} fadeEffectDuration : Alias of "animationDuration".
+     *                  {Integer} filterDebounce : Filter source only. Time to wait (in ms) after the user stops typing before calling "filterSource". (default: 250)
+     *                  {String} filterEmptyMessage : Message shown when no items match the filter. (default: "No matches")
+     *                  {String} filterErrorMessage : Filter source only. Message shown when the filter source fails. (default: "Could not load matches")
+     *                  {Boolean} filterEnabled : If TRUE, a filter input is rendered above the content and filters the items supplied to "setItems". (default: false)
+     *                  {String} filterPlaceholder : Placeholder text of the filter input. (default: "Filter...")
+     *                  {Function} filterSource : Called with the filter query (debounced) instead of filtering locally. Must return a Promise or jQuery Deferred that resolves with the matching items.
+     *                  {Boolean} focusTrapEnabled : Dialog mode only. If TRUE, Tab and Shift+Tab cycle through the focusable elements inside the dropdown. (default: false)
+     *                  {Dropdown.Group} group : Group to join. Only one dropdown in a group is open at a time (see "Dropdown.Group").
      *                  {Integer} hideDelay : Duration to wait after a hide-trigger occurs before actually hiding the dropdown (in ms).
+     *                  {Integer} itemHeight : Virtual scroll only. Fixed height of every item row (in px). If omitted, rows are measured as they're rendered.
+     *                  {String} loadingTemplate : Content provider only. HTML shown while content is loading.
      *                  {Boolean} manualShowEnabled : If TRUE, clicks on the catalyst will NOT toggle dropdown visibility. All "show" operations will need to be handled manually by you. (default: false)
+     *                  {Array} middleware : Positioning middleware, run in order after the anchor point strategies: "offset", "flip", "shift", "size" and/or functions (see "DropdownCore.getPosition"). With "size", the root element's max-width/max-height are limited to the space available in the viewport. (default: ["offset"], plus "flip" and "shift" if "collisionDetectionEnabled")
+     *                  {String} mode : "menu" (default) or "dialog", for interactive content such as forms. Dialogs imply "accessibilityEnabled", and are only hidden via Escape, an element with a "data-dropdown-dismiss" attribute, the catalyst, a pointerdown outside or the API.
      *                  {Boolean} mouseBoundaryDetectionEnabled : If FALSE, the dropdown can only be hidden by clicks. It will ignore mouseenter/mouseleave when evaluating whether or not to hide itself. (default: true)
-     *     @events beforeHide, beforeShow, destroy, hide, hideAfterResize, initialize, mouseEnterDropdown, mouseLeaveDropdown, position, render, show
+     *                  {Integer} overscan : Virtual scroll only. Number of rows rendered above and below the visible ones. (default: 5)
+     *                  {HashMap} plugins : Registered plugins to disable for this instance, e.g. { outsideClick: false, resize: false } (see "Dropdown.use").
+     *                  {HTMLElement} select : A native <select> whose options become the items (see "setItems"). Choosing an item updates the <select>, fires its "change" event and updates the catalyst label. If the catalyst itself is a <select>, it's used automatically.
+     *                  {Integer|String} sheetBreakpoint : Below this viewport width (in px), or while this media query matches (e.g. "(max-width: 600px), (pointer: coarse)"), the dropdown is shown as a bottom sheet with a backdrop instead of being anchored to the catalyst. Page scrolling is locked meanwhile, and swiping the sheet down hides it.
+     *                  {Integer} showDelay : Hover trigger only. Duration to wait after the pointer comes to rest on the catalyst before showing the dropdown (in ms). (default: 200)
+     *                  {Boolean} trackCatalyst : If TRUE, the visible dropdown follows the catalyst on window resize, ancestor scroll and size changes instead of hiding on resize. It hides once the catalyst is scrolled out of view. (default: false)
+     *                  {String} trigger : User interaction on the catalyst that shows the dropdown. Accepted values: "click" (default), "hover", "contextmenu". On touch devices, "hover" falls back to tap-to-toggle. "contextmenu" opens the dropdown at the pointer on right-click (or at the focused element on Shift+F10/ContextMenu key).
+     *                  {Integer} virtualMaxHeight : Virtual scroll only. Maximum height (in px) of the scrollable content area. (default: 300)
+     *                  {Boolean} virtualScrollEnabled : If TRUE, only the visible items supplied to "setItems" (plus overscan) are kept in the DOM. Submenus are not supported in this mode. (default: false)
+     *     @events beforeHide, beforeShow, destroy, hide, hideAfterResize, hideAfterScroll, filter, initialize, loadError, loadStart, loadSuccess, mouseEnterDropdown, mouseLeaveDropdown, position, render, select, show
      */
     var Dropdown = function (catalyst, config) {
         
@@ -53,22 +188,88 @@ define(function(require) {
         
         // Class properties.
         this.catalyst = $(catalyst).first();
+        this.activeCatalyst = this.catalyst; // Observable. The element the dropdown is currently anchored to: the catalyst, or (with "delegate") the last activated descendant.
         this.catalystActiveClass = null; // Configurable. Optional class name to apply to the catalyst element whenever the dropdown is visible.
+        this.animation = animations.fade; // Configurable. Animation adapter used to show/hide the dropdown, or NULL for none.
+        this.animationDuration = 200; // Configurable. Duration (in ms) of the show/hide animation. Also configurable as "fadeEffectDuration".
+        this.animationTimer = null; // CSS class animations only. Finishes the running animation in case "transitionend" never fires.
         this.anchorPoint = "left below"; // Configurable. Override the default positioning of the dropdown. 
+        this.resolvedAnchorPoint = null; // Observable. The physical anchor point actually used the last time the dropdown was positioned (may differ from "anchorPoint" if it's logical, or if collision detection flipped it).
+        this.contentCache = null; // Content provider only. Most recently loaded content and when it was loaded, e.g. { content: content, time: time }.
+        this.contentCacheTtl = 0; // Configurable. Time (in ms) that loaded content is reused before the content provider is called again.
+        this.contentProvider = null; // Configurable. Function returning a Promise/Deferred for the dropdown content, called before each show.
+        this.contentRequestId = 0; // Content provider only. Incremented on every load, show and hide so that stale responses can be ignored.
+        this.container = null; // Configurable. Element the dropdown root is appended to. Defaults to document.body.
+        this.contextMenuKeyTime = 0; // Context menu trigger only. Time the context menu was last opened via the keyboard, to ignore the "contextmenu" event that may follow.
+        this.contextTarget = null; // Context menu trigger only. The element that was right-clicked (or focused) to open the context menu. Supplied to "beforeShow" subscribers.
+        this.core = null; // The headless core (see "dropdown-core.js"), which owns the visibility state, the show/hide timers and event emission.
+        this.delegate = null; // Configurable. Selector for descendants of the catalyst that activate the dropdown. Listeners are delegated, so elements added later work too.
+        this.activeItemIndex = -1; // Filter only. Index of the item highlighted via the arrow keys while the filter input has focus.
         this.elements = {
+            arrow: null,
+            backdrop: null,
             root: null,
+            filter: null,
             content: null
         };
-        this.fadeEffectDuration = 200; // Configurable. Duration of fade effects for showing/hiding the dropdown.
+        this.errorTemplate = null; // Configurable. HTML shown if the content provider fails. Defaults to a message with a retry link.
+        this.filterDebounce = 250; // Configurable. Time (in ms) to wait after the last keystroke before calling the filter source.
+        this.filterEmptyMessage = "No matches"; // Configurable. Message shown when no items match the filter.
+        this.filterErrorMessage = "Could not load matches"; // Configurable. Message shown when the filter source fails.
+        this.filterPlaceholder = "Filter..."; // Configurable. Placeholder text of the filter input.
+        this.filterRequestId = 0; // Filter only. Incremented on every filter operation so that stale filter source responses can be ignored.
+        this.filterSource = null; // Configurable. Function returning a Promise/Deferred of items matching a query, for filtering asynchronously.
+        this.filterTimer = null; // Filter source only. Debounce timer.
+        this.group = null; // Configurable. The Dropdown.Group this instance belongs to, if any.
         this.hideDelay = 500; // Configurable. Time to wait (in ms) before hiding the dropdown after a mouseleave event occurs.
+        this.hoverIntent = { x: 0, y: 0, sampleX: 0, sampleY: 0, sampleTime: 0, touchTime: 0 }; // Hover trigger only. Pointer samples used to detect hover intent, and the time of the last touch (for tap-to-toggle fallback).
+        this.hoverIntentVelocity = 0.1; // Hover trigger only. Maximum pointer speed (in px/ms) over the catalyst that is considered an intent to open the dropdown.
+        this.isAccessibilityEnabled = false; // Configurable. If TRUE, ARIA attributes and keyboard interaction (WAI-ARIA menu button pattern) are applied to the catalyst and dropdown.
+        this.isArrowEnabled = false; // Configurable. If TRUE, an arrow pointing at the catalyst is added to the root element.
+        this.isCatalystTrackingEnabled = false; // Configurable. If TRUE, the visible dropdown is repositioned whenever the layout around the catalyst changes.
+        this.isCloseOnSelectEnabled = true; // Configurable. Item API only. By default, selecting an item hides the dropdown.
+        this.isCollisionDetectionEnabled = false; // Configurable. If TRUE, the dropdown is flipped and/or shifted as needed to keep it inside the viewport.
+        this.isDestroyed = false; // Observable. TRUE once "destroy" has been called. From then on, every method is a no-op.
+        this.isDialogFocusPending = false; // Dialog mode only. TRUE while a hidden dialog is being shown, until focus has been moved into it.
+        this.isFilterEnabled = false; // Configurable. If TRUE, a filter input is rendered above the content.
         this.isManualShowEnabled = false; // Configurable. By default, the dropdown will be shown if the user clicks on the catalyst. If TRUE, catalyst click listener will be disabled.
+        this.isFocusTrapEnabled = false; // Configurable. Dialog mode only. If TRUE, keyboard focus can't leave the dropdown via Tab.
         this.isMouseBoundaryDetectionEnabled = true; // Configurable. By default, observe mouse cursor position to determine if the dropdown needs to be hidden.
+        this.isMouseCursorInsideCatalyst = false; // Observable. Hover trigger only. Lets the catalyst and dropdown share the delayed hide.
         this.isMouseCursorInsideDropdown = false; // Observable. Assists with tracking mouseenter & mouseleave w.r.t. showing & hiding the dropdown.
+        this.isMouseDelayedShowEnabled = false; // Set via the "trigger" config. If TRUE, hovering over the catalyst (rather than clicking it) shows the dropdown.
+        this.isSelectChanging = false; // Select replacement only. TRUE while this instance dispatches "change" on the <select>, so it can ignore its own event.
+        this.isVirtualScrollEnabled = false; // Configurable. If TRUE, items are rendered in a virtual-scrolling viewport.
+        this.itemHeight = null; // Configurable. Virtual scroll only. Fixed row height (in px); rows are measured if NULL.
+        this.items = []; // Item API only. Items most recently supplied to "setItems".
+        this.loadingTemplate = null; // Configurable. HTML shown while the content provider is pending. Defaults to a simple loading message.
+        this.middleware = null; // Configurable. Positioning middleware (see "DropdownCore.getPosition"). By default, derived from "collisionDetectionEnabled".
+        this.mode = "menu"; // Configurable. "menu", or "dialog" for interactive content (see "_initializeDialog").
         this.namespace = {
             css: "module-dd", // All elements will have this CSS class prefix.
             event: "module-dropdown-" // Namespace for our custom events, unique to this instance. A unique suffix is appended to this value during initialization.
         };
+        this.overscan = 5; // Configurable. Virtual scroll only. Number of rows rendered beyond each edge of the visible area.
+        this.parentDropdown = null; // Submenus only. The dropdown that owns this one (see "setItems").
+        this.positionFrame = null; // Catalyst tracking only. Pending animation frame for a throttled reposition.
+        this.presentation = "anchored"; // Observable. "anchored", or "sheet" while the dropdown is shown as a bottom sheet (see "sheetBreakpoint" config).
+        this.plugins = {}; // Configurable. Registered plugins disabled for this instance, e.g. { outsideClick: false } (see "Dropdown.use").
+        this.pointerPosition = null; // Context menu trigger only. Document coordinates the context menu is anchored to, e.g. { x: x, y: y }.
         this.positionOffset = { x: 0, y: 0 }; // Configurable. Offset default positioning by these amounts (in pixels). Configurable via public method "setPositionOffset".
+        this.renderedItems = null; // Item API only. The items currently rendered (after filtering) and the query used to highlight them, e.g. { items: [], query: "" }.
+        this.resizeObserver = null; // Catalyst tracking only. Observes size changes of the catalyst and content area while the dropdown is visible.
+        this.selectElement = null; // Configurable. Native <select> this dropdown replaces, if any.
+        this.selectObserver = null; // Select replacement only. Re-reads the options whenever the <select> is mutated.
+        this.sheet = { mediaList: null, listener: null, isLocked: false, swipe: null }; // Bottom sheet only. The media query list and its change listener, whether the backdrop and scroll lock are applied, and the swipe in progress.
+        this.sheetMediaQuery = null; // Configurable. Media query that, while it matches, makes the dropdown a bottom sheet.
+        this.showDelay = 200; // Configurable. Hover trigger only. Time to wait (in ms) after the pointer comes to rest on the catalyst before showing the dropdown.
+        this.submenus = []; // Item API only. Child dropdowns created for items that have nested "items".
+        this.trackedElements = null; // Catalyst tracking only. Scrollable ancestors of the catalyst that are listened to while the dropdown is visible.
+        this.trigger = "click"; // Configurable. User interaction on the catalyst that shows the dropdown: "click" or "hover".
+        this.typeahead = { query: "", timer: null }; // Accessibility mode only. Characters typed in quick succession while the dropdown has focus, used to jump to a matching item.
+        this.virtualFrame = null; // Virtual scroll only. Pending animation frame for a throttled re-render of the visible rows.
+        this.virtualMaxHeight = 300; // Configurable. Virtual scroll only. Maximum height (in px) of the scrollable content area.
+        this.virtualRowHeights = []; // Virtual scroll only. Measured row heights, by item index.
         
         // More initialization...
         this._initialize(config);
@@ -88,10 +289,15 @@ define(function(require) {
          *  @method cancelHide
          */
         cancelHide: function () {
-            if (this.hideTimer) {
-                clearTimeout(this.hideTimer);
-                this.hideTimer = null;
-            }
+            this.core.clearTimer("hide");
+        },
+        
+        /**
+         *  Cancels a pending (hover-triggered) "show" operation.
+         *  @method cancelShow
+         */
+        cancelShow: function () {
+            this.core.clearTimer("show");
         },
         
         /**
@@ -103,7 +309,8 @@ define(function(require) {
         },
         
         /**
-         *  Destroy this instance and related DOM pollution.
+         *  Destroy this instance and related DOM pollution: remove the generated DOM and every listener, cancel pending timers and 
+         *  restore the catalyst. Submenus are destroyed too. Calling any method afterwards is a no-op.
          *  @method destroy
          */
         destroy: function () {
@@ -111,19 +318,88 @@ define(function(require) {
             // Notify listeners that this instance is committing seppuku.
             this._fireCustomEvent("destroy");
             
+            // Leave the group, and destroy submenus.
+            if (this.group) {
+                this.group.remove(this);
+            }
+            this._destroySubmenus();
+            
+            // Cancel pending timers, animation frames and observers. Destroying the core also interrupts a running show/hide.
+            this.core.destroy();
+            clearTimeout(this.animationTimer);
+            clearTimeout(this.filterTimer);
+            clearTimeout(this.typeahead.timer);
+            this._stopCatalystTracking();
+            this._updateStacking(false);
+            if (this.virtualFrame) {
+                if (window.cancelAnimationFrame) {
+                    window.cancelAnimationFrame(this.virtualFrame);
+                } else {
+                    clearTimeout(this.virtualFrame);
+                }
+                this.virtualFrame = null;
+            }
+            if (this.selectObserver) {
+                this.selectObserver.disconnect();
+                this.selectObserver = null;
+            }
+            this._lockSheet(false);
+            if (this.sheet.mediaList) {
+                if (this.sheet.mediaList.removeEventListener) {
+                    this.sheet.mediaList.removeEventListener("change", this.sheet.listener);
+                } else {
+                    this.sheet.mediaList.removeListener(this.sheet.listener);
+                }
+            }
+            
+            // Restore the catalyst(s).
+            var catalysts = this._getCatalysts().add(this.activeCatalyst).removeClass(this.catalystActiveClass);
+            if (this.isAccessibilityEnabled) {
+                catalysts.removeAttr("aria-haspopup aria-expanded aria-controls");
+            }
+            
             // Mass unsubscribe all event listeners under this namespace.
-            this.catalyst.off("." + this.namespace.event);
+            var namespace = "." + this.namespace.event;
+            this.catalyst.off(namespace);
+            $(window).add(document).add(document.body).off(namespace);
+            if (this.selectElement) {
+                this.selectElement.off(namespace).closest("form").off(namespace);
+            }
             
-            // Remove all generated DOM elements. 
-            for (var el in this.elements) {
-                $(el).remove();
+            // Remove all generated DOM elements (along with their listeners).
+            this.elements.root.remove();
+            if (this.elements.backdrop) {
+                this.elements.backdrop.remove();
             }
             
-            // Remove data attributes from catalyst element.
-            this.catalyst.removeData("module-dropdown-id");
+            // Remove data attributes from catalyst element, and unregister this instance.
+            if (this.catalyst.data("module-dropdown-id") === this.uniqueId) {
+                this.catalyst.removeData("module-dropdown-id");
+            }
+            delete instances[this.uniqueId];
             
-            // Destroy this instance. Seppuku complete.
-            delete this;
+            // Seppuku complete: every method becomes a no-op. The promises of "show", "hide" and "toggle" are rejected.
+            this.isDestroyed = true;
+            $.each(Dropdown.prototype, $.proxy(function (name, method) {
+                if ($.isFunction(method)) {
+                    this[name] = $.noop;
+                }
+            }, this));
+            this.show = this.hide = this.toggle = function () {
+                return $.Deferred().reject().promise();
+            };
+            this.isVisible = function () {
+                return false;
+            };
+        },
+        
+        /**
+         *  Get the element the dropdown is currently anchored to. Without "delegate", this is always the catalyst.
+         *  @method getActiveCatalyst
+         *  @returns {jQuery}
+         */
+        getActiveCatalyst: function () {
+            return this.activeCatalyst;
         },
         
         /**
@@ -138,7 +414,7 @@ define(function(require) {
         },
         
         /**
-         *  Returns a reference to the root element of the dropdown.
+         *  Get the root element of the dropdown.
          *  @method getRootElement
          *  @returns {HTMLElement} : DOM reference to the root element of the dropdown.
          */
@@ -147,31 +423,63 @@ define(function(require) {
         },
             
         /**
-         *  Make the DD invisible.
+         *  Make the DD invisible. Subscribers to "beforeHide" can cancel this via ev.preventDefault() (or by returning FALSE).
          *  @method hide
+         *  @param {String} reason : Why the dropdown is being hidden, passed to the hide-related events as data.reason. (default: "api")
+         *  @returns {Promise} : Resolved with this instance once the dropdown is hidden. Rejected if the hide was canceled, or 
+         *                       interrupted by "show".
          */
-        hide: function () {
-            var rootEl = $(this.elements.root);
-            if (!rootEl.is(":animated")) { // ensure we're not in the midst of a fade-out animation
-                this._fireCustomEvent("beforeHide");
-                this.catalyst.removeClass(this.catalystActiveClass);
-                rootEl.fadeOut(this.fadeEffectDuration, $.proxy(function () {
-                    this._fireCustomEvent("hide");
-                }, this));
-            }
+        hide: function (reason) {
+            var deferred = $.Deferred();
+            this.core.hide(this._getEventData({ reason: reason || "api" }), $.proxy(function (isHidden) { // joins a hide that is already running
+                return isHidden ? deferred.resolve(this) : deferred.reject();
+            }, this));
+            return deferred.promise();
         },
         
         /**
          *  Determine whether or not the dropdown is currently visible to the user.
          *  @method isVisible
-         *  @returns {Boolean} : Is the dropdown currently visible? 
+         *  @returns {Boolean} : Is the dropdown currently visible? While a show/hide animation runs, this is the state it's heading to.
          */
         isVisible: function () {
-            try {
-                return this.elements.root.is(":visible");
-            } catch (e) {
-                return false;
-            }
+            return this.core.isVisible();
+        },
+        
+        /**
+         *  Unsubscribe from one or more events.
+         *  @method off
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide", or "*" for the wildcard listeners.
+         *  @param {Function} listener : The listener supplied to "on" or "once". If omitted, every listener to these events is removed.
+         *  @returns {Boolean} : Was any listener removed?
+         */
+        off: function (eventNames, listener) {
+            return this.core.off(eventNames, listener);
+        },
+        
+        /**
+         *  Subscribe to one or more events, or to every event via "*". Events are emitted by this instance only; they don't bubble 
+         *  through the DOM. Listeners are called with a "DropdownCore.Event", which holds the "type", the "instance" (this dropdown), 
+         *  the event "data", the "reason" (if any, e.g. why the dropdown was hidden) and a "timestamp". Cancelable events are canceled 
+         *  via ev.preventDefault() (or by returning FALSE). A listener that throws doesn't stop the others.
+         *  @method on
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide".
+         *  @param {Function} listener : Called with the event object.
+         *  @returns {Function} : Call to unsubscribe again.
+         */
+        on: function (eventNames, listener) {
+            return $.isFunction(listener) ? this.core.on(eventNames, listener) : $.noop;
+        },
+        
+        /**
+         *  Subscribe to the next occurrence of any of the given events (see "on").
+         *  @method once
+         *  @param {String|String[]} eventNames : Name(s) of the event(s), e.g. "show hide".
+         *  @param {Function} listener : Called with the event object.
+         *  @returns {Function} : Call to unsubscribe before the event occurs.
+         */
+        once: function (eventNames, listener) {
+            return $.isFunction(listener) ? this.core.once(eventNames, listener) : $.noop;
         },
         
         /**
@@ -200,7 +508,8 @@ define(function(require) {
         },
         
         /**
-         *  Alter the dropdown's default positioning with relative offset values.
+         *  Alter the dropdown's default positioning with relative offset values. With a logical anchor point in right-to-left text, the 
+         *  x-axis is mirrored.
          *  @method setPositionOffset
          *  @param {Integer} x : Number of pixels to offset on x-axis. Can be a negative value.
          *  @param {Integer} y : Number of pixels to offset on y-axis. Can be a negative value.
@@ -215,29 +524,80 @@ define(function(require) {
         },
         
         /**
-         *  Make the DD visible.
+         *  Render a list of structured items instead of free-form content. Selecting an item fires the "select" event, which receives 
+         *  { item: item, originalEvent: ev }, and hides the dropdown unless "closeOnSelect" is FALSE.
+         *  @method setItems
+         *  @param {HashMap[]} items : Items to render. Each item may have...
+         *                  {String} label : Text of the item.
+         *                  {*} value : Arbitrary value associated with the item.
+         *                  {String} icon : Class name(s) for an icon shown before the label.
+         *                  {Boolean} disabled : If TRUE, the item is shown but cannot be selected.
+         *                  {Boolean} separator : If TRUE, the item is a divider line (other properties are ignored).
+         *                  {Boolean} header : If TRUE, the item is a non-selectable group heading.
+         *                  {String} href : If specified, the item is a regular link and selecting it navigates to this URL.
+         *                  {HashMap[]} items : If specified, the item opens a submenu (a child dropdown) containing these items.
+         *                  {Boolean} selected : If TRUE, the item is shown with a checkmark. If FALSE, it's checkable but unchecked.
+         *  @returns {Boolean} : Were the items successfully written?
+         */
+        setItems: function (items) {
+            if ($.isArray(items)) {
+                this.items = items;
+                if (this.elements.filter) {
+                    this.elements.filter.val("");
+                }
+                return this._renderItems(items);
+            }
+            return false;
+        },
+        
+        /**
+         *  Make the DD visible. Subscribers to "beforeShow" can cancel this via ev.preventDefault() (or by returning FALSE).
          *  @method show
+         *  @returns {Promise} : Resolved with this instance once the dropdown is shown. Rejected if the show was canceled, or 
+         *                       interrupted by "hide".
          */
         show: function () {
+            var deferred = $.Deferred();
+            if (this.parentDropdown) { // sibling submenus are mutually exclusive
+                $.each(this.parentDropdown.submenus, $.proxy(function (index, sibling) {
+                    if (sibling !== this && sibling.isVisible()) {
+                        sibling.hide();
+                    }
+                }, this));
+            }
+            if (this.isVirtualScrollEnabled) {
+                this._renderVirtualWindow(); // measure rows while hidden, so the height used for positioning is stable
+            }
             this.setPosition();
-            this._fireCustomEvent("beforeShow");
-            this.catalyst.addClass(this.catalystActiveClass);
-            $(this.elements.root).fadeIn(this.fadeEffectDuration, $.proxy(function () {
-                this._fireCustomEvent("show");
+            this.core.show(this._getEventData(this.trigger === "contextmenu" ? { target: this.contextTarget } : undefined), $.proxy(function (isShown) {
+                return isShown ? deferred.resolve(this) : deferred.reject();
             }, this));
+            return deferred.promise();
         },
         
         /**
-         *  Subscribe to custom event.
+         *  Subscribe to custom event. The callback is called with (ev, dropdown, data), and the catalyst element as its context (see "on"). 
+         *  As with the jQuery events this method used to bind, "ev.target" and "ev.currentTarget" are the catalyst element.
          *  @method subscribe
-         *  @param {String} eventName : Name of the custom event to listen to. This event will be automatically namespaced.
+         *  @param {String} eventName : Name of the custom event to listen to.
          *  @param {Function} callback : Callback function to be executed if the event of interest occurs.
          *  @param {Boolean} once : If TRUE, this event can only ever be triggered once.
          *  @returns {Boolean} : Was this event successfully subscribed to?
          */
         subscribe: function (eventName, callback, once) {
             if (typeof eventName === "string" && $.isFunction(callback)) {
-                this.catalyst[(once === true) ? "one" : "on"](this._getEventName(eventName), callback);
+                var catalystEl = this.catalyst.get(0);
+                var listener = function (ev) {
+                    var legacyEvent = $.extend({}, ev, { currentTarget: catalystEl, target: catalystEl });
+                    $.each(legacyEvent, function (name, value) {
+                        if ($.isFunction(value)) {
+                            legacyEvent[name] = $.proxy(value, ev); // e.g. preventDefault() cancels the actual event
+                        }
+                    });
+                    return callback.call(catalystEl, legacyEvent, ev.instance, ev.data);
+                };
+                listener.listener = callback; // so that "unsubscribe" finds it
+                this[(once === true) ? "once" : "on"](eventName, listener);
                 return true; // success
             }
             return false; // failure
@@ -246,7 +606,7 @@ define(function(require) {
         /**
          *  Toggle show/hide of the dropdown. Delegates to the private equivalent ("_toggle").
          *  @method toggle
-         *  @returns {Boolean} : If TRUE, the dropdown was just made visible. Otherwise, the dropdown was just made invisible.
+         *  @returns {Promise} : The promise returned by "show" or "hide".
          */
         toggle: function () {
             return this._toggle();
@@ -257,14 +617,10 @@ define(function(require) {
          *  @method unsubscribe
          *  @param {String} eventName : Name of the custom event to unsubscribe from.
          *  @param {Function} callback : The callback function supplied at subscription time. If no callback is specified, all listeners to this event will be unsubscribed. 
-         *  @returns {Boolean} : Was this event successfully unsubscribed from?
+         *  @returns {Boolean} : Was any listener removed?
          */
         unsubscribe: function (eventName, callback) {
-            if (typeof eventName === "string") {
-                this.catalyst.off(this._getEventName(eventName), callback);
-                return true; // probable success (we don't really know if the listener was removed)
-            }
-            return false; // probable failure
+            return (typeof eventName === "string") ? this.off(eventName, callback) : false;
         },
         
         /********************************************************************************************
@@ -273,6 +629,47 @@ define(function(require) {
          * 
          ********************************************************************************************/
         
+        /**
+         *  Animate the root element in or out using the configured animation (see "animation" config). Supplied to the core as its 
+         *  "animate" hook: if the core interrupts a running animation, the new one starts from wherever it got to, so reversing mid-way 
+         *  doesn't jump, and the interrupted one's "done" is ignored.
+         *  @method _animate
+         *  @param {Boolean} isShowing : Show (TRUE) or hide (FALSE) the root element?
+         *  @param {Function} done : Called once the animation has finished.
+         *  @private
+         */
+        _animate: function (isShowing, done) {
+            var rootEl = this.elements.root;
+            var placement = DropdownCore.getPlacement(this.resolvedAnchorPoint || this.anchorPoint);
+            var info = { dropdown: this, duration: this.animationDuration, side: placement.side || "below", origin: placement.origin, presentation: this.presentation };
+            
+            var animation = this.animation;
+            var isReducedMotion = !!(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+            clearTimeout(this.animationTimer);
+            rootEl.off(this._getEventName("transitionend"));
+            if (isShowing) {
+                rootEl.show();
+            }
+            if (!animation || !this.animationDuration || isReducedMotion) {
+                rootEl.toggleClass(this._getClassName("closed"), !isShowing);
+                done();
+            } else if (animation.className) {
+                rootEl.removeClass($.map(["above", "below", "left", "right"], $.proxy(function (side) { return this._getClassName("side-" + side); }, this)).join(" "))
+                    .addClass(animation.className + " " + this._getClassName("side-" + info.side))
+                    .css({ "transition-duration": info.duration + "ms", "transform-origin": info.origin });
+                rootEl.outerWidth(); // force a reflow, so that a root element that was just displayed transitions from its closed state
+                rootEl.toggleClass(this._getClassName("closed"), !isShowing);
+                rootEl.on(this._getEventName("transitionend"), function (ev) {
+                    if (ev.target === this) { // ignore transitions of descendants
+                        done();
+                    }
+                });
+                this.animationTimer = setTimeout(done, info.duration + 50); // in case "transitionend" never fires (e.g. no matching CSS)
+            } else {
+                animation[isShowing ? "show" : "hide"](rootEl.get(0), done, info);
+            }
+        },
+        
         /**
          *  Parse the configuration object and apply changes for this instance.
          *  Intended to be run only once during initialization.
@@ -288,11 +685,19 @@ define(function(require) {
                     return (typeof str === "string" && !(/^\s*$/).test(str));
                 };
                 
+                // Enable WAI-ARIA menu button semantics and keyboard interaction?
+                this.isAccessibilityEnabled = (config.accessibilityEnabled === true);
+                
                 // Change anchor point?
                 if (isString(config.anchorPoint)) {
                     this.anchorPoint = config.anchorPoint;
                 }
                 
+                // Append the dropdown root somewhere other than document.body?
+                if (config.container && $(config.container).length) {
+                    this.container = $(config.container).first();
+                }
+                
                 // Add custom class name to the dropdown root?
                 if (isString(config.className)) {
                     this.customClassName = config.className;
@@ -303,25 +708,233 @@ define(function(require) {
                     this.catalystActiveClass = config.catalystActiveClass
                 }
                 
+                // Replace a native <select>?
+                if (config.select && $(config.select).is("select")) {
+                    this.selectElement = $(config.select).first();
+                }
+                
+                // Show the dropdown on hover instead of click?
+                if (isString(config.trigger)) {
+                    this.trigger = config.trigger;
+                }
+                this.isMouseDelayedShowEnabled = (this.trigger === "hover");
+                
+                // Serve many trigger elements inside the catalyst?
+                if (isString(config.delegate)) {
+                    this.delegate = config.delegate;
+                }
+                
+                // Bottom sheet on small viewports?
+                if ($.isNumeric(config.sheetBreakpoint) && config.sheetBreakpoint > 0) {
+                    this.sheetMediaQuery = "(max-width: " + (config.sheetBreakpoint - 1) + "px)";
+                } else if (isString(config.sheetBreakpoint)) {
+                    this.sheetMediaQuery = config.sheetBreakpoint;
+                }
+                
+                // Custom duration for the hover "show" timeout?
+                if ($.isNumeric(config.showDelay)) {
+                    this.showDelay = config.showDelay > 0 ? config.showDelay : 0;
+                }
+                
+                // Render a filter input for the items?
+                this.isFilterEnabled = (config.filterEnabled === true);
+                if (isString(config.filterPlaceholder)) {
+                    this.filterPlaceholder = config.filterPlaceholder;
+                }
+                if (isString(config.filterEmptyMessage)) {
+                    this.filterEmptyMessage = config.filterEmptyMessage;
+                }
+                if (isString(config.filterErrorMessage)) {
+                    this.filterErrorMessage = config.filterErrorMessage;
+                }
+                if ($.isFunction(config.filterSource)) {
+                    this.filterSource = config.filterSource;
+                }
+                if ($.isNumeric(config.filterDebounce)) {
+                    this.filterDebounce = config.filterDebounce > 0 ? config.filterDebounce : 0;
+                }
+                
+                // Render items in a virtual-scrolling viewport?
+                this.isVirtualScrollEnabled = (config.virtualScrollEnabled === true);
+                if ($.isNumeric(config.itemHeight) && config.itemHeight > 0) {
+                    this.itemHeight = config.itemHeight;
+                }
+                if ($.isNumeric(config.overscan)) {
+                    this.overscan = config.overscan > 0 ? config.overscan : 0;
+                }
+                if ($.isNumeric(config.virtualMaxHeight) && config.virtualMaxHeight > 0) {
+                    this.virtualMaxHeight = config.virtualMaxHeight;
+                }
+                
+                // Join a group of mutually exclusive dropdowns? (The group is joined once initialization is complete.)
+                if (config.group instanceof Dropdown.Group) {
+                    this.group = config.group;
+                }
+                
                 // Custom duration for the "hide" timeout?
                 if ($.isNumeric(config.hideDelay)) {
                     this.hideDelay = config.hideDelay > 0 ? config.hideDelay : 0; 
                 }
                 
-                // Custom fade-in duration for show operation? Overrides the default.
-                if ($.isNumeric(config.fadeEffectDuration) || config.fadeEffectDuration === false) {
-                    this.fadeEffectDuration = config.fadeEffectDuration;
+                // Custom animation? Either the name of a registered animation, or an animation adapter.
+                if (config.animation === "none" || config.animation === false) {
+                    this.animation = null;
+                } else if (isString(config.animation)) {
+                    if (animations.hasOwnProperty(config.animation)) {
+                        this.animation = animations[config.animation];
+                    } else {
+                        this._throwError("unknown animation \"" + config.animation + "\"");
+                    }
+                } else if (isAnimation(config.animation)) {
+                    this.animation = config.animation;
+                }
+                
+                // Custom animation duration? ("fadeEffectDuration" is the old name of this option.)
+                var animationDuration = (config.animationDuration !== undefined) ? config.animationDuration : config.fadeEffectDuration;
+                if ($.isNumeric(animationDuration)) {
+                    this.animationDuration = animationDuration > 0 ? animationDuration : 0;
+                } else if (animationDuration === false) {
+                    this.animationDuration = 0;
+                }
+                
+                // Load content asynchronously whenever the dropdown is shown?
+                if ($.isFunction(config.contentProvider)) {
+                    this.contentProvider = config.contentProvider;
+                }
+                if ($.isNumeric(config.contentCacheTtl)) {
+                    this.contentCacheTtl = config.contentCacheTtl > 0 ? config.contentCacheTtl : 0;
+                }
+                if (isString(config.loadingTemplate)) {
+                    this.loadingTemplate = config.loadingTemplate;
+                }
+                if (isString(config.errorTemplate)) {
+                    this.errorTemplate = config.errorTemplate;
+                }
+                
+                // Add an arrow pointing at the catalyst?
+                this.isArrowEnabled = (config.arrowEnabled === true);
+                
+                // Keep the dropdown open after an item is selected?
+                this.isCloseOnSelectEnabled = !(config.closeOnSelect === false);
+                
+                // Keep the dropdown inside the viewport by flipping/shifting it? (Context menus do, unless told otherwise.)
+                this.isCollisionDetectionEnabled = (config.collisionDetectionEnabled === true) || (config.trigger === "contextmenu" && config.collisionDetectionEnabled !== false);
+                
+                // Custom positioning middleware?
+                if ($.isArray(config.middleware)) {
+                    this.middleware = config.middleware;
+                }
+                
+                // Disable any of the registered plugins?
+                if ($.isPlainObject(config.plugins)) {
+                    this.plugins = config.plugins;
                 }
                 
                 // Disable mouse boundary detection? If set to FALSE, this effectively makes the dropdown "click-to-hide".
                 this.isMouseBoundaryDetectionEnabled = !(config.mouseBoundaryDetectionEnabled === false);
                 
+                // Follow the catalyst on scroll/resize/layout changes instead of hiding on resize?
+                this.isCatalystTrackingEnabled = (config.trackCatalyst === true);
+                
                 // Enable manual visibility toggling? If true, this effectively disables the "_initializeCatalyst" method.
                 this.isManualShowEnabled = (config.manualShowEnabled === true)
+                
+                // Dialog mode? Dialogs are accessible, and don't hide when the mouse leaves them.
+                if (config.mode === "dialog") {
+                    this.mode = "dialog";
+                    this.isAccessibilityEnabled = true;
+                    this.isMouseBoundaryDetectionEnabled = false;
+                    this.isFocusTrapEnabled = (config.focusTrapEnabled === true);
+                }
 
             }
         },
         
+        /**
+         *  Build the DOM for a list of structured items (see "setItems"). Each selectable item is a link, so it's focusable and works with 
+         *  keyboard navigation.
+         *  @method _buildItems
+         *  @param {HashMap[]} items : Items to build.
+         *  @param {String} query : Optional filter query. Matching parts of item labels are highlighted.
+         *  @returns {jQuery} : The item list element.
+         *  @private
+         */
+        _buildItems: function (items, query) {
+            var cn = $.proxy(this._getClassName, this);
+            var listEl = $("<ul/>").addClass(cn("items"));
+            
+            $.each(items, $.proxy(function (index, item) {
+                var itemEl = $("<li/>").appendTo(listEl);
+                if (item.separator) {
+                    itemEl.addClass(cn("item-separator")).attr("role", "separator");
+                } else if (item.header) {
+                    itemEl.addClass(cn("item-header")).text(item.label || "");
+                } else {
+                    itemEl.addClass(cn("item"));
+                    var linkEl = $("<a/>").addClass(cn("item-link")).data(cn("item"), item).appendTo(itemEl);
+                    if (item.icon) {
+                        $("<span/>").addClass(cn("item-icon")).addClass(item.icon).appendTo(linkEl);
+                    }
+                    $("<span/>").addClass(cn("item-label")).append(this._getHighlightedText(item.label || "", query)).appendTo(linkEl);
+                    if ($.isArray(item.items)) {
+                        itemEl.addClass(cn("item-submenu"));
+                    }
+                    if (item.selected) {
+                        itemEl.addClass(cn("item-selected"));
+                    }
+                    if (item.disabled) {
+                        itemEl.addClass(cn("item-disabled"));
+                        linkEl.attr("aria-disabled", "true");
+                    } else {
+                        linkEl.attr("href", item.href || "#");
+                        if (this.isAccessibilityEnabled) {
+                            linkEl.attr({ role: "menuitem", tabindex: "-1" });
+                        }
+                    }
+                    if (this.isAccessibilityEnabled && typeof item.selected === "boolean") {
+                        linkEl.attr({ role: "menuitemcheckbox", "aria-checked": item.selected ? "true" : "false" });
+                    }
+                }
+            }, this));
+            
+            return listEl;
+        },
+        
+        /**
+         *  Create a child dropdown for every enabled item that has nested "items". Submenus fly out beside their item, open on hover 
+         *  (or click, or ArrowRight/Enter/Space in accessibility mode), and inherit this dropdown's configuration.
+         *  @method _buildSubmenus
+         *  @private
+         */
+        _buildSubmenus: function () {
+            var itemKey = this._getClassName("item");
+            var submenuKey = this._getClassName("submenu");
+            this.elements.content.find("." + this._getClassName("item-link")).each($.proxy(function (index, linkEl) {
+                var item = $(linkEl).data(itemKey);
+                if (item && $.isArray(item.items) && !item.disabled) {
+                    var submenu = new Dropdown($(linkEl), {
+                        accessibilityEnabled: this.isAccessibilityEnabled,
+                        animation: this.animation || "none",
+                        animationDuration: this.animationDuration,
+                        anchorPoint: "outside-end top",
+                        className: this.customClassName,
+                        closeOnSelect: this.isCloseOnSelectEnabled,
+                        collisionDetectionEnabled: this.isCollisionDetectionEnabled,
+                        container: this.container,
+                        hideDelay: this.hideDelay,
+                        middleware: this.middleware,
+                        mouseBoundaryDetectionEnabled: this.isMouseBoundaryDetectionEnabled,
+                        plugins: this.plugins,
+                        trigger: "hover"
+                    });
+                    submenu.parentDropdown = this;
+                    submenu.setItems(item.items);
+                    $(linkEl).data(submenuKey, submenu);
+                    this.submenus.push(submenu);
+                }
+            }, this));
+        },
+        
         /**
          *  Construct DOM skeleton for this dropdown. This is meant to be a one-time operation called during initialization.
          *  @method _buildStructure
@@ -330,81 +943,262 @@ define(function(require) {
         _buildStructure: function () {
             
             // Private utility that creates namespaced CSS class names.
-            var cn = $.proxy(function (className) {
-                var str = this.namespace.css;
-                if (typeof className === "string") {
-                    str += "-" + className.replace(/\s+/, "-");
-                }
-                return str;
-            }, this);
+            var cn = $.proxy(this._getClassName, this);
             
             // Construct DOM skeleton.
-            var rootEl = $("<div/>").addClass(cn()).hide(); // ensure these elements are hidden
+            var rootEl = $("<div/>").addClass(cn() + " " + cn("closed")).hide(); // ensure these elements are hidden
             if (this.customClassName) { // if a custom class name was specified for this instance, add it now
                 rootEl.addClass(this.customClassName);
             }
+            var filterEl = null;
+            if (this.isFilterEnabled) {
+                filterEl = $('<input type="text" autocomplete="off"/>').addClass(cn("filter-input")).attr("placeholder", this.filterPlaceholder);
+                $("<div/>").addClass(cn("filter")).append(filterEl).appendTo(rootEl);
+            }
             var contentEl = $("<div/>").addClass(cn("content")).appendTo(rootEl);
-            rootEl.appendTo(document.body);
+            var arrowEl = this.isArrowEnabled ? $("<div/>").addClass(cn("arrow")).appendTo(rootEl) : null;
+            rootEl.appendTo(this.container || document.body);
+            var backdropEl = this.sheetMediaQuery ? $("<div/>").addClass(cn("backdrop")).hide().insertBefore(rootEl) : null;
 
             // Cache references to important DOM elements.
             $.extend(this.elements, {
+                arrow:         arrowEl,
+                backdrop:     backdropEl,
                 root:         rootEl,
+                filter:     filterEl,
                 content:     contentEl
             });
         },
         
         /**
-         *  Define internal methods for how to position the dropdown with respect to the catalyst. 
-         *  The "strategy" will be chosen based on the anchor point (e.g. "left below").
-         *  @method _defineAnchorPointStrategies
-         *  @private
-         */
-        _defineAnchorPointStrategies: function () {
-            if (!this.anchorPointStrategies) {
-                this.anchorPointStrategies = {
-                    // TO-DO: Does the "above" positioning actually work? Still untested.
-                    /*
-                    "above":     $.proxy(function () {
-                                    var catalystPosition = this._getCatalystPosition();
-                                    return {
-                                        "bottom":    parseInt($(document).height() - ((0 - this.positionOffset.y) + catalystPosition.y + catalystPosition.h), 10) + "px",
-                                        "top":         "auto"
-                                    };
-                                }, this),
-                    */
-                    "below":     $.proxy(function () {
-                                    var catalystPosition = this._getCatalystPosition();
-                                    return {
-                                        "top":        parseInt(this.positionOffset.y + catalystPosition.y + catalystPosition.h, 10) + "px",
-                                        "bottom":    "auto"
-                                    };
-                                }, this),
-                    "left":     $.proxy(function () {
-                                    var catalystPosition = this._getCatalystPosition();
-                                    return {
-                                        "left":        parseInt(this.positionOffset.x + catalystPosition.x, 10) + "px",
-                                        "right":    "auto"
-                                    };
-                                }, this),
-                    "right":     $.proxy(function () {
-                                    var catalystPosition = this._getCatalystPosition();
-                                    return {
-                                        "right":    parseInt($(window).width() - ((0 - this.positionOffset.x) + catalystPosition.x + catalystPosition.w), 10) + "px",
-                                        "left":        "auto"
-                                    };
-                                }, this)
-                };
+         *  Destroy all submenus created by "setItems" (recursively, since each submenu destroys its own submenus).
+         *  @method _destroySubmenus
+         *  @private
+         */
+        _destroySubmenus: function () {
+            $.each(this.submenus, function (index, submenu) {
+                submenu.destroy(); // destroys its own submenus too
+            });
+            this.submenus = [];
+        },
+        
+        /**
+         *  Dispatch a native DOM event (as opposed to a jQuery event), so that non-jQuery listeners are notified too.
+         *  @method _dispatchNativeEvent
+         *  @param {HTMLElement} el : Target element.
+         *  @param {String} eventName : Name of the event, e.g. "change".
+         *  @private
+         */
+        _dispatchNativeEvent: function (el, eventName) {
+            var ev;
+            if (typeof window.Event === "function") {
+                ev = new window.Event(eventName, { bubbles: true });
+            } else {
+                ev = document.createEvent("HTMLEvents");
+                ev.initEvent(eventName, true, false);
             }
+            el.dispatchEvent(ev);
         },
         
         /**
-         *  Trigger/fire custom event. A reference to this instance will be supplied as an argument to the callback.
+         *  Trigger/fire custom event (see "on").
          *  @method _fireCustomEvent
          *  @param {String} eventName : Name of the event to fire.
+         *  @param {HashMap} data : Optional event-specific information for the callback.
+         *  @returns {DropdownCore.Event} : The event object. Check ev.isDefaultPrevented() to see whether a subscriber canceled it.
+         *  @private
+         */
+        _fireCustomEvent: function (eventName, data) {
+            return this.core.emit(eventName, this._getEventData(data));
+        },
+        
+        /**
+         *  Filter the items supplied to "setItems" and re-render the matches. Matching is case- and diacritic-insensitive. If a filter source 
+         *  is configured, it's called instead (debounced) and the items it resolves with are rendered; stale responses are ignored.
+         *  If the filter source throws or its request fails, the error message is rendered instead. An empty query restores the full
+         *  list of items.
+         *  @method _filterItems
+         *  @param {String} query : The filter query.
+         *  @private
+         */
+        _filterItems: function (query) {
+            var requestId = ++this.filterRequestId;
+            clearTimeout(this.filterTimer);
+            
+            if (!query || !this.filterSource) {
+                var needle = this._getNormalizedText(query || "").text;
+                var matches = !needle ? this.items : $.grep(this.items, $.proxy(function (item) {
+                    return !item.separator && !item.header && this._getNormalizedText(item.label || "").text.indexOf(needle) !== -1;
+                }, this));
+                this._renderFilteredItems(matches, query);
+                return;
+            }
+            
+            this.filterTimer = setTimeout($.proxy(function () {
+                var onSuccess = $.proxy(function (items) {
+                    if (requestId === this.filterRequestId) { // ignore stale responses
+                        this._renderFilteredItems($.isArray(items) ? items : [], query);
+                    }
+                }, this);
+                var onError = $.proxy(function (error) {
+                    if (requestId === this.filterRequestId) { // ignore stale responses
+                        this._renderFilteredItems([], query, error);
+                    }
+                }, this);
+                
+                var request;
+                try {
+                    request = this.filterSource.call(this, query, this);
+                } catch (e) {
+                    return onError(e);
+                }
+                if (request && $.isFunction(request.then)) {
+                    request.then(onSuccess, onError);
+                } else {
+                    onSuccess(request);
+                }
+            }, this), this.filterDebounce);
+        },
+        
+        /**
+         *  Clean up after a show/hide animation has finished, and hide the root element (and a bottom sheet's backdrop) if the dropdown 
+         *  was hidden. Supplied to the core as its "finish" hook.
+         *  @method _finishTransition
+         *  @param {Boolean} isShowing : Was the dropdown shown (TRUE) or hidden (FALSE)?
+         *  @private
+         */
+        _finishTransition: function (isShowing) {
+            clearTimeout(this.animationTimer);
+            this.elements.root.off(this._getEventName("transitionend"));
+            if (!isShowing) {
+                this.elements.root.hide();
+                this._lockSheet(false);
+            }
+        },
+        
+        /**
+         *  Dialog mode only. Move focus into the dialog that was just shown: to the element with an "autofocus" attribute, else the 
+         *  first form field, else the first focusable element, else the dialog itself.
+         *  @method _focusDialog
+         *  @private
+         */
+        _focusDialog: function () {
+            var tabbables = this._getTabbableElements();
+            var target = this.elements.root.find("[autofocus]").filter(":visible").first();
+            if (!target.length) {
+                target = tabbables.filter(":input").first();
+            }
+            if (!target.length) {
+                target = tabbables.first();
+            }
+            if (!target.length) {
+                target = this.elements.root.attr("tabindex", "-1");
+            }
+            target.trigger("focus");
+        },
+        
+        /**
+         *  Move focus to one of the focusable items inside the dropdown. Out-of-range indices wrap around.
+         *  @method _focusItem
+         *  @param {Integer} index : Index of the item to focus, within the list returned by "_getFocusableItems" (or, in virtual scroll 
+         *                           mode, within the selectable items).
+         *  @private
+         */
+        _focusItem: function (index) {
+            if (this._isVirtualScrollActive()) {
+                var count = this._getSelectableItemCount();
+                if (count) {
+                    this._getItemLink(((index % count) + count) % count).trigger("focus");
+                }
+                return;
+            }
+            var items = this._getFocusableItems();
+            if (items.length) {
+                index = ((index % items.length) + items.length) % items.length;
+                items.eq(index).trigger("focus");
+            }
+        },
+        
+        /**
+         *  Typeahead: given a printable character, move focus to the next item whose text begins with the characters typed so far.
+         *  The typed query is reset after a short pause.
+         *  @method _focusItemByTypeahead
+         *  @param {String} character : Character that was just typed.
+         *  @private
+         */
+        _focusItemByTypeahead: function (character) {
+            var typeahead = this.typeahead;
+            clearTimeout(typeahead.timer);
+            typeahead.timer = setTimeout(function () {
+                typeahead.query = "";
+            }, 500);
+            typeahead.query += character.toLowerCase();
+            
+            // Search forward, wrapping around to the start. A single character moves past the currently focused item (so repeated 
+            // presses cycle through matches); a longer query may still match the current item.
+            var labels = this._isVirtualScrollActive() ? $.map(this._getSelectableItemIndices(), $.proxy(function (itemIndex) {
+                return this.renderedItems.items[itemIndex].label || "";
+            }, this)) : $.map(this._getFocusableItems(), function (item) {
+                return $(item).text();
+            });
+            var start = Math.max(0, this._getFocusedItemIndex() + (typeahead.query.length === 1 ? 1 : 0));
+            for (var i = 0; i < labels.length; i++) {
+                var index = (start + i) % labels.length;
+                if ($.trim(labels[index]).toLowerCase().indexOf(typeahead.query) === 0) {
+                    this._focusItem(index);
+                    return;
+                }
+            }
+        },
+        
+        /**
+         *  Get the item links that can be selected (i.e. aren't disabled), in document order.
+         *  @method _getSelectableItemLinks
+         *  @returns {jQuery} : Selectable item links.
+         *  @private
+         */
+        _getSelectableItemLinks: function () {
+            return $(this.elements.content).find("." + this._getClassName("item-link")).not("[aria-disabled='true']");
+        },
+        
+        /**
+         *  Get the number of selectable items (see "_getItemLink").
+         *  @method _getSelectableItemCount
+         *  @returns {Integer} : Number of selectable items.
+         *  @private
+         */
+        _getSelectableItemCount: function () {
+            return this._isVirtualScrollActive() ? this._getSelectableItemIndices().length : this._getSelectableItemLinks().length;
+        },
+        
+        /**
+         *  Get the indices (within the rendered items) of the items that can be selected, i.e. aren't separators, headers or disabled.
+         *  @method _getSelectableItemIndices
+         *  @returns {Integer[]} : Item indices.
+         *  @private
+         */
+        _getSelectableItemIndices: function () {
+            var indices = [];
+            $.each(this.renderedItems ? this.renderedItems.items : [], function (index, item) {
+                if (!item.separator && !item.header && !item.disabled) {
+                    indices.push(index);
+                }
+            });
+            return indices;
+        },
+        
+        /**
+         *  Get the position and dimensions of what the dropdown is anchored to: normally the catalyst, but the pointer (a zero-size box) 
+         *  for context menus. Note: position is relative to the document.
+         *  @method _getAnchorPosition
+         *  @returns {HashMap} : XY coordinates and dimensions, e.g. { x:x, y:y, w:width, h:height }
          *  @private
          */
-        _fireCustomEvent: function (eventName) {
-            this.catalyst.trigger(this._getEventName(eventName), this); // supply ref to this instance to the callback
+        _getAnchorPosition: function () {
+            if (this.trigger === "contextmenu" && this.pointerPosition) {
+                return { x: this.pointerPosition.x, y: this.pointerPosition.y, w: 0, h: 0 };
+            }
+            return this._getCatalystPosition();
         },
         
         /**
@@ -413,7 +1207,7 @@ define(function(require) {
          *  @private
          */
         _getCatalystPosition: function () {
-            var catalyst = this.catalyst;
+            var catalyst = this.activeCatalyst;
             var pos = catalyst.offset();
             return {
                 x: Math.round(pos.left),
@@ -426,6 +1220,55 @@ define(function(require) {
             };
         },
         
+        /**
+         *  Get all elements that activate the dropdown: the matching descendants of the catalyst with "delegate", otherwise the catalyst.
+         *  @method _getCatalysts
+         *  @returns {jQuery}
+         *  @private
+         */
+        _getCatalysts: function () {
+            return this.delegate ? this.catalyst.find(this.delegate) : this.catalyst;
+        },
+        
+        /**
+         *  Internal utility that creates namespaced CSS class names, e.g. "content" becomes "module-dd-content".
+         *  @method _getClassName
+         *  @param {String} className : Class name to be namespaced. If omitted, the bare namespace is returned.
+         *  @returns {String} : Namespaced class name.
+         *  @private
+         */
+        _getClassName: function (className) {
+            var str = this.namespace.css;
+            if (typeof className === "string") {
+                str += "-" + className.replace(/\s+/, "-");
+            }
+            return str;
+        },
+        
+        /**
+         *  Get the text direction of the element the dropdown is anchored to.
+         *  @method _getDirection
+         *  @returns {String} : "ltr" or "rtl".
+         *  @private
+         */
+        _getDirection: function () {
+            return (this.activeCatalyst.css("direction") === "rtl") ? "rtl" : "ltr";
+        },
+        
+        /**
+         *  Get the data for a custom event. With "sheetBreakpoint", it includes the active presentation.
+         *  @method _getEventData
+         *  @param {HashMap} data : Optional event-specific information.
+         *  @returns {HashMap} : The event data (undefined if there is none).
+         *  @private
+         */
+        _getEventData: function (data) {
+            if (this.sheetMediaQuery) { // responsive: tell subscribers which presentation is active
+                data = $.extend({ presentation: this.presentation }, data);
+            }
+            return data;
+        },
+        
         /**
          *  Internal utility. Given an event name, return it with a namespace suffix (for use with jQuery event binding).
          *  @method _getEventName
@@ -456,29 +1299,181 @@ define(function(require) {
         },
         
         /**
-         *  Given an anchor point strategy, determine the positioning of the dropdown with respect to the catalyst. 
-         *  @method _getPositionByAnchorPoint
-         *  @returns {HashMap} : Object containing CSS positioning information, designed to be directly applied to an element via jQuery.
+         *  Build DOM nodes for a piece of text with every (case- and diacritic-insensitive) occurrence of the query wrapped in a <mark>.
+         *  @method _getHighlightedText
+         *  @param {String} text : The text to highlight.
+         *  @param {String} query : The text to look for. If empty, the text is returned as-is.
+         *  @returns {Node[]} : Text nodes and <mark> elements.
          *  @private
          */
-        _getPositionByAnchorPoint: function () {
+        _getHighlightedText: function (text, query) {
+            var needle = this._getNormalizedText(query || "").text;
+            if (!needle) {
+                return [document.createTextNode(text)];
+            }
             
-            // Transform anchor point string into an array of strings so each dimension can be processed individually.
-            var strategies = this.anchorPoint.split(" ");
-            if (strategies.length !== 2) {
-                this._throwError("anchor point is invalid");
+            var haystack = this._getNormalizedText(text);
+            var nodes = [];
+            var position = 0; // position in the original text
+            var index = haystack.text.indexOf(needle);
+            while (index !== -1) {
+                var start = haystack.map[index];
+                var end = haystack.map[index + needle.length - 1] + 1;
+                if (start > position) {
+                    nodes.push(document.createTextNode(text.substring(position, start)));
+                }
+                nodes.push($("<mark/>").addClass(this._getClassName("item-match")).text(text.substring(start, end)).get(0));
+                position = end;
+                index = haystack.text.indexOf(needle, index + needle.length);
             }
-            
-            // Generate CSS positioning information based on anchor point strategy.
-            var css = {};
-            $.each(strategies, $.proxy(function (index, strategy) {
-                $.extend(css, this.anchorPointStrategies[strategy]());
-            }, this));
-            
-            if ($.isEmptyObject(css)) {
-                this._throwError("could not determine dropdown position from anchor point");
+            if (position < text.length) {
+                nodes.push(document.createTextNode(text.substring(position)));
+            }
+            return nodes;
+        },
+        
+        /**
+         *  Get all focusable items inside the content area of the dropdown, in document order.
+         *  @method _getFocusableItems
+         *  @param {Boolean} isHiddenIncluded : If TRUE, items that aren't currently visible (e.g. because the dropdown is hidden) are included.
+         *  @returns {jQuery} : Focusable, enabled (and by default, visible) elements inside the content area.
+         *  @private
+         */
+        _getFocusableItems: function (isHiddenIncluded) {
+            var items = $(this.elements.content)
+                .find("a[href], button, input, select, textarea, [tabindex]")
+                .not(":disabled, [aria-disabled='true']");
+            return isHiddenIncluded ? items : items.filter(":visible");
+        },
+        
+        /**
+         *  Get the outermost dropdown of a submenu tree (or this dropdown, if it isn't a submenu).
+         *  @method _getTopmostDropdown
+         *  @returns {Dropdown} : The topmost ancestor dropdown.
+         *  @private
+         */
+        _getTopmostDropdown: function () {
+            var dropdown = this;
+            while (dropdown.parentDropdown) {
+                dropdown = dropdown.parentDropdown;
+            }
+            return dropdown;
+        },
+        
+        /**
+         *  Get the index of the focused item, within the list used by "_focusItem".
+         *  @method _getFocusedItemIndex
+         *  @returns {Integer} : Index of the focused item, or -1 if focus isn't on an item.
+         *  @private
+         */
+        _getFocusedItemIndex: function () {
+            if (this._isVirtualScrollActive()) {
+                var itemIndex = parseInt($(document.activeElement).closest("[data-item-index]", this.elements.content).attr("data-item-index"), 10);
+                return isNaN(itemIndex) ? -1 : $.inArray(itemIndex, this._getSelectableItemIndices());
+            }
+            return this._getFocusableItems().index(document.activeElement);
+        },
+        
+        /**
+         *  Get the link of one of the selectable items. In virtual scroll mode, the item is scrolled into the rendered rows first.
+         *  @method _getItemLink
+         *  @param {Integer} index : Index of the item within the selectable items.
+         *  @returns {jQuery} : The item link (empty if there is no such item).
+         *  @private
+         */
+        _getItemLink: function (index) {
+            if (this._isVirtualScrollActive()) {
+                var itemIndex = this._getSelectableItemIndices()[index];
+                if (itemIndex === undefined) {
+                    return $();
+                }
+                this._scrollToVirtualItem(itemIndex);
+                return this.elements.content.find("[data-item-index='" + itemIndex + "'] ." + this._getClassName("item-link"));
+            }
+            return this._getSelectableItemLinks().eq(index);
+        },
+        
+        /**
+         *  Mirror ArrowLeft and ArrowRight in right-to-left text, so that keyboard interaction can be written for left-to-right text: 
+         *  ArrowRight always means "towards the inline end" (e.g. into a submenu), and ArrowLeft "towards the inline start".
+         *  @method _getLogicalKey
+         *  @param {Integer} key : Key code of a keyboard event.
+         *  @returns {Integer} : The key code, mirrored if needed.
+         *  @private
+         */
+        _getLogicalKey: function (key) {
+            if (this._getDirection() === "rtl" && (key === keyCodes.left || key === keyCodes.right)) {
+                return (key === keyCodes.left) ? keyCodes.right : keyCodes.left;
+            }
+            return key;
+        },
+        
+        /**
+         *  Fold text for case- and diacritic-insensitive comparison (e.g. "Éclair" becomes "eclair"), keeping track of which character in 
+         *  the original text each folded character came from.
+         *  @method _getNormalizedText
+         *  @param {String} text : Text to fold.
+         *  @returns {HashMap} : The folded text and a map of folded character index to original character index, e.g. { text: text, map: [] }.
+         *  @private
+         */
+        _getNormalizedText: function (text) {
+            var result = { text: "", map: [] };
+            for (var i = 0; i < text.length; i++) {
+                var character = text.charAt(i);
+                var folded = (character.normalize ? character.normalize("NFD") : character).replace(/[\u0300-\u036f]/g, "").toLowerCase();
+                for (var j = 0; j < folded.length; j++) {
+                    result.text += folded.charAt(j);
+                    result.map.push(i);
+                }
+            }
+            return result;
+        },
+        
+        /**
+         *  Given an anchor point strategy, determine the positioning of the dropdown with respect to the catalyst (see "DropdownCore.getPosition"). 
+         *  The middleware runs next: by default the offset, and if collision detection is enabled, flipping the anchor point and shifting 
+         *  the position to keep the dropdown inside the viewport. Logical anchor points are resolved against the text direction of the 
+         *  catalyst. The physical anchor point that was actually used is recorded in "resolvedAnchorPoint".
+         *  @method _getPositionByAnchorPoint
+         *  @returns {HashMap} : Top left corner of the root element relative to the document, e.g. { x: x, y: y }, plus "maxWidth" and 
+         *                       "maxHeight" if the "size" middleware ran. NULL if the anchor point is invalid.
+         *  @private
+         */
+        _getPositionByAnchorPoint: function () {
+            var $window = $(window);
+            var position = DropdownCore.getPosition(
+                this._getAnchorPosition(),
+                { w: this.elements.root.outerWidth(), h: this.elements.root.outerHeight() },
+                this.anchorPoint,
+                {
+                    direction: this._getDirection(),
+                    middleware: this.middleware || (this.isCollisionDetectionEnabled ? ["offset", "flip", "shift"] : ["offset"]),
+                    offset: this.positionOffset,
+                    viewport: { x: $window.scrollLeft(), y: $window.scrollTop(), w: $window.width(), h: $window.height() }
+                }
+            );
+            if (!position) {
+                this._throwError("anchor point is invalid");
+                return null;
             }
-            return css;
+            this.resolvedAnchorPoint = position.anchorPoint;
+            delete position.anchorPoint;
+            return position;
+        },
+        
+        /**
+         *  Get the elements inside the dropdown that can be reached via Tab, in document order.
+         *  @method _getTabbableElements
+         *  @returns {jQuery}
+         *  @private
+         */
+        _getTabbableElements: function () {
+            return this.elements.root
+                .find("a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable='true']")
+                .filter(":visible")
+                .filter(function () {
+                    return !this.disabled && $(this).attr("tabindex") !== "-1" && !(this.type === "hidden");
+                });
         },
         
         /**
@@ -492,6 +1487,32 @@ define(function(require) {
             return this.uniqueId;
         },
         
+        /**
+         *  Virtual scroll only. Compute the top offset of every row from the measured (or fixed, or estimated) row heights.
+         *  @method _getVirtualOffsets
+         *  @returns {Integer[]} : Offset of each row; the extra last entry is the total height of all rows.
+         *  @private
+         */
+        _getVirtualOffsets: function () {
+            var heights = this.virtualRowHeights;
+            var estimate = this.itemHeight;
+            if (!estimate) { // average of the rows measured so far
+                var total = 0, count = 0;
+                $.each(heights, function (index, height) {
+                    if (height > 0) {
+                        total += height;
+                        count++;
+                    }
+                });
+                estimate = count ? Math.round(total / count) : 30;
+            }
+            var offsets = [0];
+            for (var i = 0; i < this.renderedItems.items.length; i++) {
+                offsets.push(offsets[i] + (this.itemHeight || heights[i] || estimate));
+            }
+            return offsets;
+        },
+        
         /**
          *  Various one-time initialization.
          *  @method _initialize
@@ -500,6 +1521,15 @@ define(function(require) {
          */
         _initialize: function (config) {
             
+            // Hand the visibility state, timers and event emission to the headless core. This instance supplies the DOM side: 
+            // animating the root element and updating the catalyst.
+            this.core = new DropdownCore({
+                animate: $.proxy(this._animate, this),
+                finish: $.proxy(this._finishTransition, this),
+                prepare: $.proxy(this._prepareTransition, this),
+                target: this
+            });
+            
             // Append unique suffix to event namespace. Allows events to be (un)registered that are specific to this instance.
             var uniqueId = this._getUniqueId();
             this.namespace.event += uniqueId;
@@ -510,41 +1540,196 @@ define(function(require) {
             // Construct DOM skeleton for this dropdown.
             this._buildStructure();
             
-            // Add data attributes to the catalyst and dropdown root elements, indicating which instance ID they're associated with. This is currently only used for debugging.
+            // Add data attributes to the catalyst and dropdown root elements, indicating which instance ID they're associated with. Used by 
+            // the instance registry (see "Dropdown.getInstance"), and for debugging.
             $(this.catalyst).add(this.elements.root).data("module-dropdown-id", uniqueId);
+            instances[uniqueId] = this;
+            
+            // Apply the plugins, including the built-in behaviors (hiding on resize and outside clicks). Their hooks are added before any 
+            // other listener, so that they run first (e.g. a plugin canceling "beforeShow" does so before the content is loaded).
+            this._initializePlugins();
             
             // Establish event listeners on the catalyst element. This functionality is the primary decider regarding visibility toggling of the dropdown.
             this._initializeCatalyst();
+            
+            // Apply ARIA attributes and keyboard interaction, if enabled.
+            this._initializeAccessibility();
+            
+            // Manage focus and dismissal in dialog mode.
+            this._initializeDialog();
+            
+            // Present the dropdown as a bottom sheet on small viewports, if configured.
+            this._initializeSheet();
+            
+            // Load content from the content provider (if any) whenever the dropdown is shown.
+            this._initializeContentProvider();
+            
+            // Handle selection of items rendered via "setItems".
+            this._initializeItems();
+            
+            // Wire up the filter input, if enabled.
+            this._initializeFilter();
+            
+            // Mirror a native <select>, if configured.
+            this._initializeSelect();
+            
+            // Re-render the visible rows as the content area scrolls, if virtual scrolling is enabled.
+            this._initializeVirtualScroll();
 
             // Initialize event listeners for hiding the dropdown based on mouse cursor position.
             this._initializeMouseBoundaryDetection();
             
-            // Defines internal functions for how to position the dropdown based on an anchor point strategy (e.g. "left below").
-            this._defineAnchorPointStrategies();
+            // Join the configured group, if any.
+            if (this.group) {
+                this.group.add(this);
+            }
             
-            // Browser viewport resize should hide the dropdown if it's currently visible.
-            $(window).on(this._getEventName("resize"), $.proxy(function () {
-                if (this.isVisible()) {
-                    this._fireCustomEvent("hideAfterResize"); // differentiate this "hide" event as the result of a browser viewport resize
-                    this.hide();
+            // Notify any interested parties that this dropdown instance has been initialized.
+            this._fireCustomEvent("initialize");
+        },
+        
+        /**
+         *  Apply the WAI-ARIA menu button pattern: ARIA attributes on the catalyst and dropdown, keyboard interaction for opening, 
+         *  navigating and closing the dropdown. Only runs if accessibility mode is enabled.
+         *  @method _initializeAccessibility
+         *  @private
+         */
+        _initializeAccessibility: function () {
+            
+            if (this.isAccessibilityEnabled) {
+                
+                // Link the catalyst and the dropdown.
+                var rootId = this.elements.root.attr("id") || (this.namespace.css + "-" + this._getUniqueId());
+                this.elements.root.attr("id", rootId);
+                this._getCatalysts().attr({
+                    "aria-haspopup": (this.mode === "dialog") ? "dialog" : "true",
+                    "aria-expanded": "false",
+                    "aria-controls": rootId
+                });
+                if (this.mode === "dialog") {
+                    this.elements.root.attr("role", "dialog");
+                    return; // dialogs have their own keyboard interaction (see "_initializeDialog")
                 }
-            }, this));
+                this.elements.content.attr("role", "menu");
+                
+                // Items written via "render" become menu items and are removed from the page tab sequence (arrow keys navigate them instead).
+                this.subscribe("render", $.proxy(function () {
+                    this._getFocusableItems(true).each(function () {
+                        var item = $(this);
+                        if (!item.attr("role")) {
+                            item.attr("role", "menuitem");
+                        }
+                        item.attr("tabindex", "-1");
+                    });
+                }, this));
+                
+                // Enter, Space and ArrowDown open the dropdown and focus the first item. ArrowUp opens it and focuses the last item.
+                // A submenu's catalyst is an item in its parent, where Up/Down navigate the parent; ArrowRight (ArrowLeft in right-to-left 
+                // text) opens the submenu instead.
+                this.catalyst.on(this._getEventName("keydown"), this.delegate, $.proxy(function (ev) {
+                    var key = this._getLogicalKey(ev.which);
+                    var openKeys = this.parentDropdown ? [keyCodes.enter, keyCodes.space, keyCodes.right] : [keyCodes.enter, keyCodes.space, keyCodes.down, keyCodes.up];
+                    if ($.inArray(key, openKeys) !== -1) {
+                        ev.preventDefault(); // also suppresses the synthetic "click" so the dropdown isn't toggled twice
+                        if (this._setActiveCatalyst(ev.currentTarget) || !this.isVisible()) {
+                            this.show();
+                        }
+                        if (this.elements.filter) {
+                            this.elements.filter.trigger("focus");
+                        } else {
+                            this._focusItem(key === keyCodes.up ? -1 : 0);
+                        }
+                    }
+                }, this));
+                
+                // Keyboard navigation within the dropdown.
+                this.elements.root.on(this._getEventName("keydown"), $.proxy(function (ev) {
+                    var index = this._getFocusedItemIndex();
+                    switch (this._getLogicalKey(ev.which)) {
+                        case keyCodes.down:
+                            ev.preventDefault();
+                            this._focusItem(index + 1);
+                            break;
+                        case keyCodes.up:
+                            ev.preventDefault();
+                            this._focusItem(index < 0 ? -1 : index - 1);
+                            break;
+                        case keyCodes.home:
+                            ev.preventDefault();
+                            this._focusItem(0);
+                            break;
+                        case keyCodes.end:
+                            ev.preventDefault();
+                            this._focusItem(-1);
+                            break;
+                        case keyCodes.left:
+                            if (this.parentDropdown) { // ArrowLeft (ArrowRight in right-to-left text) closes a submenu
+                                ev.preventDefault();
+                                this.hide("escape");
+                            }
+                            break;
+                        case keyCodes.escape:
+                            ev.preventDefault();
+                            this.hide("escape"); // focus is returned to the catalyst
+                            break;
+                        case keyCodes.tab:
+                            ev.preventDefault();
+                            this._getTopmostDropdown().hide("escape"); // Tab closes all levels of a submenu tree
+                            break;
+                        default:
+                            // Typeahead on printable characters (ignoring keyboard shortcuts, and typing into form fields).
+                            if (ev.key && ev.key.length === 1 && ev.key !== " " && !ev.ctrlKey && !ev.metaKey && !ev.altKey && !$(ev.target).is(":input")) {
+                                this._focusItemByTypeahead(ev.key);
+                            }
+                    }
+                }, this));
+            }
             
-            /*
-             *     Clicks outside the dropdown should hide it. Required conditions:
-             *         1) The dropdown is currently visible.
-             *         2) The click did not originate from our catalyst (or any of its children).
-             *         3) The click did not originate from the dropdown itself (or any of its children).
-             */
-            $(document.body).on(this._getEventName("click"), $.proxy(function (ev) {
-                var $evTarget = $(ev.target);
-                if (this.isVisible() && !($evTarget.closest(this.catalyst).length || $evTarget.closest("." + this.namespace.css).length)) {
-                    this.hide();
+        },
+        
+        /**
+         *  Hook the content provider (if configured) into the show/hide lifecycle. Content is requested once a show has passed 
+         *  "beforeShow" (see "_prepareTransition"); any response that arrives after the dropdown was hidden or shown again is ignored. 
+         *  The retry element in the error template reloads the content.
+         *  @method _initializeContentProvider
+         *  @private
+         */
+        _initializeContentProvider: function () {
+            if (this.contentProvider) {
+                this.elements.root.on(this._getEventName("click"), "." + this._getClassName("retry"), $.proxy(function (ev) {
+                    ev.preventDefault();
+                    this._loadContent(true);
+                }, this));
+            }
+        },
+        
+        /**
+         *  Listen for clicks on items rendered via "setItems" and fire the "select" event. Disabled items and items with a submenu are 
+         *  ignored, and items without an "href" don't navigate.
+         *  @method _initializeItems
+         *  @private
+         */
+        _initializeItems: function () {
+            this.elements.content.on(this._getEventName("click"), "." + this._getClassName("item-link"), $.proxy(function (ev) {
+                var item = $(ev.currentTarget).data(this._getClassName("item"));
+                if (!item || item.disabled || $.isArray(item.items)) { // items with a submenu open it rather than being selected
+                    ev.preventDefault();
+                    return;
+                }
+                if (!item.href) {
+                    ev.preventDefault();
+                }
+                
+                // The "select" event is fired on this dropdown and each of its ancestors (data.dropdown is the one the item belongs to).
+                var dropdown = this;
+                while (dropdown) {
+                    dropdown._fireCustomEvent("select", { item: item, originalEvent: ev, dropdown: this });
+                    dropdown = dropdown.parentDropdown;
+                }
+                if (this.isCloseOnSelectEnabled) {
+                    this._getTopmostDropdown().hide("select");
                 }
             }, this));
-            
-            // Notify any interested parties that this dropdown instance has been initialized.
-            this._fireCustomEvent("initialize");
         },
         
         /**
@@ -553,14 +1738,229 @@ define(function(require) {
          *  @private
          */
         _initializeCatalyst: function () {
-            if (!this.isManualShowEnabled && !this.isMouseDelayedShowEnabled) {
-                this.catalyst.on(this._getEventName("click"), $.proxy(function (ev) {
-                    if (ev) ev.preventDefault();
-                    this._toggle();
+            if (!this.isManualShowEnabled) {
+                if (this.trigger === "contextmenu") {
+                    this._initializeContextMenu();
+                } else if (this.isMouseDelayedShowEnabled) {
+                    this._initializeHoverIntent();
+                } else {
+                    this.catalyst.on(this._getEventName("click"), this.delegate, $.proxy(function (ev) {
+                        if (ev) ev.preventDefault();
+                        if (this._setActiveCatalyst(ev.currentTarget)) {
+                            this.show(); // another delegated element was activated; move the dropdown rather than hide it
+                        } else {
+                            this._toggle();
+                        }
+                    }, this));
+                }
+            }
+        },
+        
+        /**
+         *  Context menu trigger: suppress the native context menu on the catalyst (or on its descendants matching "delegate") and open the 
+         *  dropdown at the pointer instead. Shift+F10 and the ContextMenu key open it at the focused element.
+         *  @method _initializeContextMenu
+         *  @private
+         */
+        _initializeContextMenu: function () {
+            var open = $.proxy(function (catalyst, target, position) {
+                this._setActiveCatalyst(catalyst);
+                this.contextTarget = target;
+                this.pointerPosition = position;
+                this.show(); // also repositions the dropdown if it's already open
+            }, this);
+            
+            this.catalyst.on(this._getEventName("contextmenu"), this.delegate, $.proxy(function (ev) {
+                ev.preventDefault();
+                if (new Date().getTime() - this.contextMenuKeyTime < 500) {
+                    return; // already opened by the keydown handler below
+                }
+                if (!ev.pageX && !ev.pageY) { // keyboard-generated event without pointer coordinates
+                    var offset = $(ev.currentTarget).offset();
+                    open(ev.currentTarget, ev.target, { x: Math.round(offset.left), y: Math.round(offset.top + $(ev.currentTarget).outerHeight(false)) });
+                } else {
+                    open(ev.currentTarget, ev.target, { x: ev.pageX, y: ev.pageY });
+                }
+            }, this));
+            
+            this.catalyst.on(this._getEventName("keydown"), this.delegate, $.proxy(function (ev) {
+                if (ev.which === keyCodes.contextMenu || (ev.which === keyCodes.f10 && ev.shiftKey)) {
+                    ev.preventDefault();
+                    this.contextMenuKeyTime = new Date().getTime();
+                    var targetEl = $(ev.target);
+                    var offset = targetEl.offset();
+                    open(ev.currentTarget, ev.target, { x: Math.round(offset.left), y: Math.round(offset.top + targetEl.outerHeight(false)) });
+                    if (this.isAccessibilityEnabled) {
+                        this._focusItem(0);
+                    }
+                }
+            }, this));
+        },
+        
+        /**
+         *  Dialog mode only. Escape hides the dialog, as does clicking an element with a "data-dropdown-dismiss" attribute inside it. If 
+         *  focus is trapped, Tab and Shift+Tab wrap around at the last and first focusable elements. Focus is moved into the dialog on 
+         *  "show" and again on "loadSuccess" (see "_focusDialog").
+         *  @method _initializeDialog
+         *  @private
+         */
+        _initializeDialog: function () {
+            if (this.mode !== "dialog") {
+                return;
+            }
+            var rootEl = this.elements.root;
+            
+            rootEl.on(this._getEventName("keydown"), $.proxy(function (ev) {
+                if (ev.which === keyCodes.escape) {
+                    ev.preventDefault();
+                    this.hide("escape"); // focus is returned to the catalyst
+                } else if (ev.which === keyCodes.tab && this.isFocusTrapEnabled) {
+                    var tabbables = this._getTabbableElements();
+                    if (!tabbables.length) {
+                        ev.preventDefault();
+                    } else if (ev.shiftKey && (document.activeElement === tabbables.get(0) || document.activeElement === rootEl.get(0))) {
+                        ev.preventDefault();
+                        tabbables.last().trigger("focus");
+                    } else if (!ev.shiftKey && document.activeElement === tabbables.get(-1)) {
+                        ev.preventDefault();
+                        tabbables.first().trigger("focus");
+                    }
+                }
+            }, this));
+            
+            rootEl.on(this._getEventName("click"), "[data-dropdown-dismiss]", $.proxy(function (ev) {
+                ev.preventDefault();
+                this.hide("dismiss");
+            }, this));
+            
+            // Move focus in once the dialog is shown, so that content rendered by "show" subscribers is there. Showing a dialog that's 
+            // already visible (e.g. re-anchoring it) leaves focus alone.
+            this.subscribe("show", $.proxy(function () {
+                if (this.isDialogFocusPending) {
+                    this.isDialogFocusPending = false;
+                    this._focusDialog();
+                }
+            }, this));
+            
+            // Content from the provider usually arrives after "show". Focus it, unless the user has already moved focus elsewhere.
+            this.subscribe("loadSuccess", $.proxy(function () {
+                var activeEl = document.activeElement; // the dialog itself while loading, or the body if the focused element was replaced
+                if (this.isVisible() && !this.isDialogFocusPending && (!activeEl || activeEl === document.body || activeEl === this.elements.root.get(0))) {
+                    this._focusDialog();
+                }
+            }, this));
+        },
+        
+        /**
+         *  Filter the items as the user types into the filter input. While the input has focus, ArrowUp/ArrowDown move the active item 
+         *  and Enter selects it. The filter is reset whenever the dropdown is shown (see "_prepareTransition").
+         *  @method _initializeFilter
+         *  @private
+         */
+        _initializeFilter: function () {
+            if (this.elements.filter) {
+                this.elements.filter
+                    .on(this._getEventName("input"), $.proxy(function () {
+                        this._filterItems($.trim(this.elements.filter.val()));
+                    }, this))
+                    .on(this._getEventName("keydown"), $.proxy(function (ev) {
+                        switch (ev.which) {
+                            case keyCodes.down:
+                            case keyCodes.up:
+                                ev.preventDefault();
+                                ev.stopPropagation(); // don't let accessibility mode move focus out of the input
+                                this._setActiveItem(this.activeItemIndex + (ev.which === keyCodes.down ? 1 : -1));
+                                break;
+                            case keyCodes.enter:
+                                var linkEl = (this.activeItemIndex !== -1) ? this._getItemLink(this.activeItemIndex).get(0) : null;
+                                if (linkEl) {
+                                    ev.preventDefault();
+                                    linkEl.click(); // native click, so links with an "href" navigate
+                                }
+                                break;
+                        }
+                    }, this));
+                
+                this.subscribe("show", $.proxy(function () {
+                    this.elements.filter.trigger("focus");
                 }, this));
             }
         },
         
+        /**
+         *  Hover trigger: show the dropdown once the pointer slows down over the catalyst (hover intent), after "showDelay" ms.
+         *  Leaving the catalyst starts the same delayed hide used by the dropdown itself, so moving from the catalyst into the dropdown 
+         *  keeps it open (unless mouse boundary detection is disabled, in which case only clicks hide it). Touch interaction falls back to tap-to-toggle.
+         *  @method _initializeHoverIntent
+         *  @private
+         */
+        _initializeHoverIntent: function () {
+            var intent = this.hoverIntent;
+            var now = function () {
+                return new Date().getTime();
+            };
+            var isTouch = function () {
+                return (now() - intent.touchTime) < 1000; // mouse events emulated by the browser follow shortly after a touch
+            };
+            
+            // Poll the pointer until its speed since the last sample drops below the threshold, then show.
+            var checkIntent = $.proxy(function () {
+                var distance = Math.sqrt(Math.pow(intent.x - intent.sampleX, 2) + Math.pow(intent.y - intent.sampleY, 2));
+                var elapsed = Math.max(now() - intent.sampleTime, 1);
+                if (distance / elapsed <= this.hoverIntentVelocity) {
+                    if (!this.isVisible()) {
+                        this.show();
+                    }
+                } else {
+                    $.extend(intent, { sampleX: intent.x, sampleY: intent.y, sampleTime: now() });
+                    this.core.setTimer("show", checkIntent, Math.max(this.showDelay, 50));
+                }
+            }, this);
+            
+            this.catalyst
+                .on(this._getEventName("touchstart"), this.delegate, function () {
+                    intent.touchTime = now();
+                })
+                .on(this._getEventName("click"), this.delegate, $.proxy(function (ev) {
+                    ev.preventDefault();
+                    if (this._setActiveCatalyst(ev.currentTarget)) {
+                        this.cancelShow();
+                        this.show();
+                    } else if (isTouch()) {
+                        this._toggle();
+                    } else if (!this.isVisible()) { // mouse clicks show the dropdown right away
+                        this.cancelShow();
+                        this.show();
+                    }
+                }, this))
+                .on(this._getEventName("mouseenter"), this.delegate, $.proxy(function (ev) {
+                    if (!isTouch()) {
+                        this.isMouseCursorInsideCatalyst = true;
+                        this.cancelHide();
+                        if (this._setActiveCatalyst(ev.currentTarget)) {
+                            this.cancelShow();
+                            this.show(); // moving between delegated elements while the dropdown is open switches right away
+                        } else if (!this.isVisible() && !this.core.hasTimer("show")) {
+                            $.extend(intent, { x: ev.pageX, y: ev.pageY, sampleX: ev.pageX, sampleY: ev.pageY, sampleTime: now() });
+                            this.core.setTimer("show", checkIntent, this.showDelay);
+                        }
+                    }
+                }, this))
+                .on(this._getEventName("mousemove"), this.delegate, function (ev) {
+                    intent.x = ev.pageX;
+                    intent.y = ev.pageY;
+                })
+                .on(this._getEventName("mouseleave"), this.delegate, $.proxy(function () {
+                    if (!isTouch()) {
+                        this.isMouseCursorInsideCatalyst = false;
+                        this.cancelShow();
+                        if (this.isMouseBoundaryDetectionEnabled) { // otherwise only clicks hide the dropdown
+                            this._scheduleHide();
+                        }
+                    }
+                }, this));
+        },
+        
         /**
          *  @method _initializeMouseBoundaryDetection
          *  @private
@@ -577,73 +1977,1231 @@ define(function(require) {
                         // This is important when dealing with delayed hiding of the dropdown. If the user quickly cycles between mouseleave
                         // and mouseenter within a certain timeframe (this.hideDelay), we want to keep the dropdown visible. 
                         this._setMouseCursorInsideDropdown(false);
-                        
-                        // If there isn't already an active timeout and the dropdown is currently visible, wait a little bit before hiding the dropdown...
-                        if (!this.hideTimer && this.isVisible()) {
-                            this.hideTimer = setTimeout($.proxy(function () {
-                                if (!this.isMouseCursorInsideDropdown) { // ensure user has not moused back into the dropdown
-                                    this.hide();
-                                }
-                                this.cancelHide();
-                            }, this), this.hideDelay);
+                        this._scheduleHide();
+                    }, this));
+            }
+            
+        },
+        
+        /**
+         *  Apply the registered plugins (see "Dropdown.use"), except the ones disabled via the "plugins" config. Each function of a plugin
+         *  listens to the event of the same name on the core, e.g. "initialize", and is called with (dropdown, data, ev).
+         *  @method _initializePlugins
+         *  @private
+         */
+        _initializePlugins: function () {
+            var dropdown = this;
+            $.each(plugins, $.proxy(function (index, plugin) {
+                if (this.plugins[plugin.name] !== false) {
+                    $.each(plugin, $.proxy(function (eventName, hook) {
+                        if ($.isFunction(hook)) {
+                            this.core.on(eventName, function (ev) {
+                                return hook.call(plugin, dropdown, ev.data, ev);
+                            });
                         }
                     }, this));
+                }
+            }, this));
+        },
+        
+        /**
+         *  Select replacement: build the items from the native <select>, write chosen values back to it (dispatching a native "change" 
+         *  event so form serialization and validation keep working), and re-read the options whenever the <select> is mutated, changed 
+         *  or reset. Multiple selects toggle options and stay open on select.
+         *  @method _initializeSelect
+         *  @private
+         */
+        _initializeSelect: function () {
+            if (!this.selectElement && this.catalyst.is("select")) {
+                this.selectElement = this.catalyst;
+            }
+            if (!this.selectElement) {
+                return;
+            }
+            var selectEl = this.selectElement;
+            var isMultiple = selectEl.prop("multiple");
+            if (isMultiple) {
+                this.isCloseOnSelectEnabled = false;
+            }
+            
+            // A <select> catalyst must not open its native picker.
+            if (this.catalyst.is(selectEl)) {
+                this.catalyst.on(this._getEventName("mousedown"), function (ev) {
+                    ev.preventDefault();
+                    $(this).trigger("focus");
+                });
+            }
+            
+            // Write the chosen value(s) back to the <select>.
+            this.subscribe("select", $.proxy(function (ev, dropdown, data) {
+                var option = data.item.option;
+                if (!option || data.dropdown !== this) {
+                    return;
+                }
+                if (isMultiple) {
+                    option.selected = !option.selected;
+                } else {
+                    option.selected = true;
+                }
+                this.isSelectChanging = true;
+                this._dispatchNativeEvent(selectEl.get(0), "change");
+                this.isSelectChanging = false;
+                this._syncFromSelect();
+            }, this));
+            
+            // Follow changes made to the <select> by others.
+            selectEl.on(this._getEventName("change"), $.proxy(function () {
+                if (!this.isSelectChanging) {
+                    this._syncFromSelect();
+                }
+            }, this));
+            selectEl.closest("form").on(this._getEventName("reset"), $.proxy(function () {
+                setTimeout($.proxy(this._syncFromSelect, this), 0); // the form isn't reset until after the event
+            }, this));
+            if (typeof window.MutationObserver === "function") {
+                this.selectObserver = new window.MutationObserver($.proxy(this._syncFromSelect, this));
+                this.selectObserver.observe(selectEl.get(0), { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ["disabled", "label", "selected", "value"] });
             }
             
+            this._syncFromSelect();
         },
         
         /**
-         *  Sets the "isMouseCursorInsideDropdown" property and notifies subscribers of the change.
-         *  @method _setMouseCursorInsideDropdown
-         *  @param {Boolean} isInside : Is the mouse cursor currently inside the dropdown wrapper?
+         *  Bottom sheet only. Listen for the media query to start/stop matching, so that a visible dropdown switches presentation (e.g. 
+         *  when a phone is rotated), for taps on the backdrop, and for the sheet being swiped down. Only runs if "sheetBreakpoint" is set.
+         *  @method _initializeSheet
          *  @private
          */
-        _setMouseCursorInsideDropdown: function (isInside) {
-            if (isInside) {
-                this.isMouseCursorInsideDropdown = true;
-                this._fireCustomEvent("mouseEnterDropdown");
+        _initializeSheet: function () {
+            if (!this.sheetMediaQuery || !window.matchMedia) {
+                return;
+            }
+            var sheet = this.sheet;
+            var rootEl = this.elements.root;
+            var now = function () {
+                return new Date().getTime();
+            };
+            
+            sheet.mediaList = window.matchMedia(this.sheetMediaQuery);
+            sheet.listener = $.proxy(function () {
+                if (this.isVisible()) {
+                    this._setPosition();
+                }
+            }, this);
+            if (sheet.mediaList.addEventListener) {
+                sheet.mediaList.addEventListener("change", sheet.listener);
             } else {
-                this.isMouseCursorInsideDropdown = false;
-                this._fireCustomEvent("mouseLeaveDropdown");
+                sheet.mediaList.addListener(sheet.listener);
             }
+            
+            // Listen to the backdrop directly: iOS doesn't reliably deliver clicks on non-interactive elements to the body.
+            this.elements.backdrop.on(this._getEventName("click"), $.proxy(function () {
+                this.hide("click-outside");
+            }, this));
+            
+            // Swiping down hides the sheet, unless its content is scrolled (then the swipe scrolls it). The sheet follows the finger, 
+            // and springs back if the swipe is too short or too slow.
+            rootEl.on(this._getEventName("touchstart"), $.proxy(function (ev) {
+                var touches = ev.originalEvent.touches;
+                var isScrolled = !!$(ev.target).parentsUntil(rootEl).addBack().add(rootEl).filter(function () {
+                    return this.scrollTop > 0;
+                }).length;
+                sheet.swipe = (this.presentation === "sheet" && touches && touches.length === 1 && !isScrolled) ? 
+                    { startY: touches[0].clientY, startTime: now(), offsetY: 0 } : null;
+            }, this)).on(this._getEventName("touchmove"), function (ev) {
+                var swipe = sheet.swipe;
+                if (swipe) {
+                    swipe.offsetY = Math.max(0, ev.originalEvent.touches[0].clientY - swipe.startY);
+                    if (swipe.offsetY > 0) {
+                        if (ev.originalEvent.cancelable) {
+                            ev.preventDefault(); // don't scroll (or bounce) the page
+                        }
+                        rootEl.css({ "transition": "none", "transform": "translateY(" + swipe.offsetY + "px)" });
+                    }
+                }
+            }).on(this._getEventNames(["touchend", "touchcancel"]).join(" "), $.proxy(function (ev) {
+                var swipe = sheet.swipe;
+                if (swipe) {
+                    sheet.swipe = null;
+                    var velocity = swipe.offsetY / Math.max(now() - swipe.startTime, 1);
+                    rootEl.css({ "transition": "", "transform": "" }); // hiding transitions from wherever the sheet was dragged to
+                    if (ev.type === "touchend" && (swipe.offsetY > rootEl.outerHeight() / 3 || (swipe.offsetY > 20 && velocity > 0.5))) {
+                        this.hide("swipe");
+                    }
+                }
+            }, this));
         },
         
         /**
-         *  Sets the position of the dropdown with respect to the catalyst element.
-         *  @method _setPosition
+         *  Re-render the visible rows (throttled to animation frames) whenever the content area scrolls in virtual scroll mode.
+         *  @method _initializeVirtualScroll
          *  @private
          */
-        _setPosition: function () {
-            this.elements.root.css(this._getPositionByAnchorPoint());
-            this._fireCustomEvent("position");
+        _initializeVirtualScroll: function () {
+            if (this.isVirtualScrollEnabled) {
+                this.elements.content.addClass(this._getClassName("virtual")).on(this._getEventName("scroll"), $.proxy(function () {
+                    if (!this.virtualFrame) {
+                        var callback = $.proxy(function () {
+                            this.virtualFrame = null;
+                            this._renderVirtualWindow();
+                        }, this);
+                        this.virtualFrame = window.requestAnimationFrame ? window.requestAnimationFrame(callback) : setTimeout(callback, 16);
+                    }
+                }, this));
+            }
         },
         
         /**
-         *  Custom error handling.
-         *  @method _throwError
-         *  @param {String} message : Error message to show.
+         *  Determine whether any part of the catalyst is visible within the viewport and within all of its scrollable ancestors.
+         *  @method _isCatalystInView
+         *  @returns {Boolean} : Is the catalyst (at least partially) in view?
          *  @private
          */
-        _throwError: function (message) {
-            console.log("Dropdown Widget : " + (message || "unknown error"));
+        _isCatalystInView: function () {
+            var catalystRect = this.activeCatalyst.get(0).getBoundingClientRect();
+            var intersects = function (rect) {
+                return catalystRect.bottom > rect.top && catalystRect.top < rect.bottom && catalystRect.right > rect.left && catalystRect.left < rect.right;
+            };
+            var isInView = intersects({ top: 0, left: 0, bottom: $(window).height(), right: $(window).width() });
+            $(this.trackedElements).each(function () {
+                isInView = isInView && intersects(this.getBoundingClientRect());
+            });
+            return isInView;
         },
         
         /**
-         *  Toggle show/hide of the dropdown.
-         *  @method _toggle
-         *  @returns {Boolean} : If TRUE, the dropdown was just made visible. Otherwise, the dropdown was just made invisible.
+         *  Request content from the content provider and render it, showing the loading template in the meantime (or the error template 
+         *  if the request fails). Cached content is rendered immediately if it's younger than "contentCacheTtl". The dropdown is 
+         *  repositioned after every render.
+         *  Fires "loadStart", then "loadSuccess" (with data.content) or "loadError" (with data.error).
+         *  @method _loadContent
+         *  @param {Boolean} isCacheBypassed : If TRUE, the cache is ignored and the provider is always called.
          *  @private
          */
-        _toggle: function () {
-            if (this.isVisible()) {
-                this.hide();
-                return false;
-            } else {
-                this.show();
-                return true;
+        _loadContent: function (isCacheBypassed) {
+            var requestId = ++this.contentRequestId;
+            var now = new Date().getTime();
+            var cache = this.contentCache;
+            var renderContent = $.proxy(function (content) {
+                this.render(content);
+                this._setPosition(); // the size has changed, and a dropdown that's about to show was positioned before this render
+            }, this);
+            
+            if (!isCacheBypassed && cache && (now - cache.time) < this.contentCacheTtl) {
+                renderContent(cache.content);
+                return;
             }
-        }
             
+            renderContent(this.loadingTemplate || '<div class="' + this._getClassName("loading") + '">Loading...</div>');
+            this._fireCustomEvent("loadStart");
+            
+            var onSuccess = $.proxy(function (content) {
+                if (requestId === this.contentRequestId) { // ignore stale responses
+                    this.contentCache = { content: content, time: new Date().getTime() };
+                    renderContent(content);
+                    this._fireCustomEvent("loadSuccess", { content: content });
+                }
+            }, this);
+            var onError = $.proxy(function (error) {
+                if (requestId === this.contentRequestId) { // ignore stale responses
+                    renderContent(this.errorTemplate || '<div class="' + this._getClassName("error") + '">Could not load content. <a href="#" class="' + this._getClassName("retry") + '">Retry</a></div>');
+                    this._fireCustomEvent("loadError", { error: error });
+                }
+            }, this);
+            
+            var request;
+            try {
+                request = this.contentProvider.call(this, this);
+            } catch (e) {
+                return onError(e);
+            }
+            if (request && $.isFunction(request.then)) {
+                request.then(onSuccess, onError);
+            } else {
+                onSuccess(request); // tolerate providers that return content synchronously
+            }
+        },
+        
+        /**
+         *  Determine whether the mouse cursor is inside this dropdown, its catalyst (hover trigger only) or any open submenu.
+         *  @method _isMouseCursorInsideTree
+         *  @returns {Boolean} : Is the mouse cursor inside this dropdown's tree?
+         *  @private
+         */
+        _isMouseCursorInsideTree: function () {
+            if (this.isMouseCursorInsideDropdown || this.isMouseCursorInsideCatalyst) {
+                return true;
+            }
+            for (var i = 0; i < this.submenus.length; i++) {
+                if (this.submenus[i].isVisible() && this.submenus[i]._isMouseCursorInsideTree()) {
+                    return true;
+                }
+            }
+            return false;
+        },
+        
+        /**
+         *  Determine whether the content area currently holds virtually-scrolled items (as opposed to free-form content, or virtual 
+         *  scrolling being disabled).
+         *  @method _isVirtualScrollActive
+         *  @returns {Boolean} : Are items currently rendered in virtual scroll mode?
+         *  @private
+         */
+        _isVirtualScrollActive: function () {
+            return !!(this.isVirtualScrollEnabled && this.renderedItems && this.elements.content.find("." + this._getClassName("virtual-spacer")).length);
+        },
+        
+        /**
+         *  Bottom sheet only. Show the backdrop and lock page scrolling, or undo that. Page scrolling stays locked while any sheet is visible.
+         *  Since iOS Safari ignores "overflow: hidden" on the body for touch scrolling, the body is also pinned with "position: fixed" at 
+         *  the current scroll position, which is restored on unlock.
+         *  @method _lockSheet
+         *  @param {Boolean} isLocked : Lock (TRUE) or unlock (FALSE)?
+         *  @private
+         */
+        _lockSheet: function (isLocked) {
+            var backdropEl = this.elements.backdrop;
+            if (!backdropEl || this.sheet.isLocked === isLocked) {
+                return;
+            }
+            this.sheet.isLocked = isLocked;
+            if (isLocked) {
+                backdropEl.css("z-index", this.elements.root.css("z-index")).show(); // the root comes next, so it's on top
+                if (scrollLock.count++ === 0) {
+                    var bodyStyle = document.body.style;
+                    scrollLock.scrollTop = $(window).scrollTop();
+                    scrollLock.styles = {
+                        html: { overflow: document.documentElement.style.overflow },
+                        body: { overflow: bodyStyle.overflow, position: bodyStyle.position, top: bodyStyle.top, width: bodyStyle.width }
+                    };
+                    $(document.documentElement).css("overflow", "hidden");
+                    $(document.body).css({ overflow: "hidden", position: "fixed", top: -scrollLock.scrollTop, width: "100%" });
+                }
+            } else {
+                backdropEl.hide();
+                if (--scrollLock.count === 0) {
+                    $(document.documentElement).css(scrollLock.styles.html);
+                    $(document.body).css(scrollLock.styles.body);
+                    $(window).scrollTop(scrollLock.scrollTop); // unpinning the body jumps to the top of the page
+                }
+            }
+        },
+        
+        /**
+         *  Update the catalyst, the stacking order and catalyst tracking once a show/hide has passed "beforeShow"/"beforeHide". Showing 
+         *  a dropdown closes the other members of its group, resets the filter and loads the content; hiding it hides its submenus too 
+         *  and invalidates any pending content request. Supplied to the core as its "prepare" hook, so that canceled shows/hides have no 
+         *  side effects.
+         *  @method _prepareTransition
+         *  @param {Boolean} isShowing : Is the dropdown being shown (TRUE) or hidden (FALSE)?
+         *  @param {HashMap} data : The "beforeShow"/"beforeHide" event data.
+         *  @private
+         */
+        _prepareTransition: function (isShowing, data) {
+            if (isShowing) {
+                if (this.group) {
+                    this.group._setOpenInstance(this);
+                }
+                if (this.elements.filter && this.elements.filter.val()) {
+                    this.elements.filter.val("");
+                    this._filterItems("");
+                }
+                if (this.contentProvider) {
+                    this._loadContent();
+                }
+                if (this.mode === "dialog" && !this.isVisible()) {
+                    this.isDialogFocusPending = true; // see "_initializeDialog"
+                }
+                this._updateStacking(true);
+                this._lockSheet(this.presentation === "sheet");
+                this.activeCatalyst.addClass(this.catalystActiveClass);
+                if (this.isAccessibilityEnabled) {
+                    this.activeCatalyst.attr("aria-expanded", "true");
+                }
+                this._startCatalystTracking();
+                return;
+            }
+            this.contentRequestId++; // invalidate any pending content request
+            this.isDialogFocusPending = false;
+            $.each(this.submenus, function (index, submenu) { // closing a dropdown closes its whole subtree
+                if (submenu.isVisible()) {
+                    submenu.hide(data.reason);
+                }
+            });
+            this._stopCatalystTracking();
+            this._updateStacking(false);
+            this.activeCatalyst.removeClass(this.catalystActiveClass);
+            if (this.isAccessibilityEnabled) {
+                this.activeCatalyst.attr("aria-expanded", "false");
+                // If focus is inside the dropdown, hand it back to the catalyst so keyboard users don't lose their place.
+                if ($(document.activeElement).closest(this.elements.root).length) {
+                    this.activeCatalyst.trigger("focus");
+                }
+            }
+        },
+        
+        /**
+         *  Select replacement only. Build items from the <option> and <optgroup> elements of the native <select>.
+         *  @method _readSelectOptions
+         *  @returns {HashMap[]} : Items (see "setItems"), each with an extra "option" property referencing its <option>.
+         *  @private
+         */
+        _readSelectOptions: function () {
+            var items = [];
+            var addOption = function (option, isGroupDisabled) {
+                items.push({
+                    label: $.trim($(option).text()),
+                    value: option.value,
+                    disabled: option.disabled || isGroupDisabled,
+                    selected: option.selected,
+                    option: option
+                });
+            };
+            this.selectElement.children().each(function () {
+                if ($(this).is("optgroup")) {
+                    items.push({ header: true, label: $(this).attr("label") || "" });
+                    var isGroupDisabled = this.disabled;
+                    $(this).children("option").each(function () {
+                        addOption(this, isGroupDisabled);
+                    });
+                } else if ($(this).is("option")) {
+                    addOption(this, false);
+                }
+            });
+            return items;
+        },
+        
+        /**
+         *  Render the result of a filter operation and fire the "filter" event with the query and number of matches (and the error, if 
+         *  the filter source failed). If nothing matches, the empty-state message (or the error message) is rendered instead. The first 
+         *  match becomes the active item.
+         *  @method _renderFilteredItems
+         *  @param {HashMap[]} items : Items to render.
+         *  @param {String} query : The filter query (used to highlight matches).
+         *  @param {*} error : Optional. Why the filter source failed.
+         *  @private
+         */
+        _renderFilteredItems: function (items, query, error) {
+            var count = $.grep(items, function (item) {
+                return !item.separator && !item.header;
+            }).length;
+            
+            if (error !== undefined) {
+                this._destroySubmenus();
+                this.render($("<div/>").addClass(this._getClassName("filter-empty") + " " + this._getClassName("filter-error")).text(this.filterErrorMessage));
+            } else if (count || !query) {
+                this._renderItems(items, query);
+            } else {
+                this._destroySubmenus();
+                this.render($("<div/>").addClass(this._getClassName("filter-empty")).text(this.filterEmptyMessage));
+            }
+            this._setActiveItem(query ? 0 : -1);
+            if (this.isVisible()) {
+                this._setPosition(); // content size has changed
+            }
+            this._fireCustomEvent("filter", (error !== undefined) ? { query: query, count: count, error: error } : { query: query, count: count });
+        },
+        
+        /**
+         *  Render structured items (and their submenus) into the content area. In virtual scroll mode, only the visible rows are rendered.
+         *  @method _renderItems
+         *  @param {HashMap[]} items : Items to render.
+         *  @param {String} query : Optional filter query, for highlighting matches.
+         *  @returns {Boolean} : Were the items successfully written?
+         *  @private
+         */
+        _renderItems: function (items, query) {
+            this._destroySubmenus();
+            this.renderedItems = { items: items, query: query };
+            if (this.isVirtualScrollEnabled) {
+                // Only a spacer (sized to the height of all rows) is rendered; "_renderVirtualWindow" fills in the visible rows.
+                this.virtualRowHeights = [];
+                this.render($("<div/>").addClass(this._getClassName("virtual-spacer")));
+                this.elements.content.scrollTop(0);
+                this._renderVirtualWindow();
+                return true;
+            }
+            if (this.render(this._buildItems(items, query))) {
+                this._buildSubmenus();
+                return true;
+            }
+            return false;
+        },
+        
+        /**
+         *  Virtual scroll only. Render the rows that are visible in the content area (plus "overscan" rows on either side), measure their 
+         *  heights, and size the spacer so the scrollbar reflects all rows. The content area keeps a fixed height so positioning doesn't jump 
+         *  as rows are measured. Focus and the active item are carried over to the re-rendered rows.
+         *  @method _renderVirtualWindow
+         *  @private
+         */
+        _renderVirtualWindow: function () {
+            if (!this._isVirtualScrollActive()) {
+                return;
+            }
+            var rootEl = this.elements.root;
+            var contentEl = this.elements.content;
+            var spacerEl = contentEl.find("." + this._getClassName("virtual-spacer"));
+            var items = this.renderedItems.items;
+            
+            // Rows can only be measured while displayed, so display the (invisible) root if it's hidden. Check the actual display state: a 
+            // root that's animating out is no longer "visible", but must stay displayed until the animation is done.
+            var isHidden = rootEl.css("display") === "none";
+            if (isHidden) {
+                rootEl.css({ display: "block", visibility: "hidden" });
+            }
+            
+            var offsets = this._getVirtualOffsets();
+            var viewportHeight = Math.min(offsets[items.length], this.virtualMaxHeight);
+            contentEl.css("height", viewportHeight + "px");
+            spacerEl.css("height", offsets[items.length] + "px");
+            
+            // Determine the visible rows.
+            var scrollTop = contentEl.scrollTop();
+            var start = 0;
+            while (start < items.length - 1 && offsets[start + 1] <= scrollTop) {
+                start++;
+            }
+            var end = start;
+            while (end < items.length && offsets[end] < scrollTop + viewportHeight) {
+                end++;
+            }
+            start = Math.max(0, start - this.overscan);
+            end = Math.min(items.length, end + this.overscan);
+            
+            // Render them, keeping track of which row had focus.
+            var focusedIndex = parseInt($(document.activeElement).closest("[data-item-index]", spacerEl).attr("data-item-index"), 10);
+            var activeIndex = this._getSelectableItemIndices()[this.activeItemIndex];
+            var listEl = this._buildItems(items.slice(start, end), this.renderedItems.query).css({ position: "absolute", top: offsets[start] + "px", left: 0, right: 0 });
+            listEl.children().each(function (index) {
+                $(this).attr("data-item-index", start + index);
+            });
+            spacerEl.empty().append(listEl);
+            if (!isNaN(focusedIndex)) {
+                listEl.find("[data-item-index='" + focusedIndex + "'] ." + this._getClassName("item-link")).trigger("focus");
+            }
+            if (activeIndex !== undefined) {
+                listEl.find("[data-item-index='" + activeIndex + "'] ." + this._getClassName("item-link")).addClass(this._getClassName("item-active"));
+            }
+            
+            // Measure the rendered rows.
+            if (!this.itemHeight) {
+                listEl.children().each($.proxy(function (index, rowEl) {
+                    var height = $(rowEl).outerHeight();
+                    if (height > 0) {
+                        this.virtualRowHeights[start + index] = height;
+                    }
+                }, this));
+            }
+            
+            if (isHidden) {
+                rootEl.css({ display: "none", visibility: "" });
+            }
+        },
+        
+        /**
+         *  Reposition the dropdown on the next animation frame. Multiple requests within the same frame result in a single reposition.
+         *  If the catalyst has been scrolled out of view, the dropdown is hidden instead.
+         *  @method _requestPosition
+         *  @private
+         */
+        _requestPosition: function () {
+            if (!this.positionFrame) {
+                var callback = $.proxy(function () {
+                    this.positionFrame = null;
+                    if (this.isVisible()) {
+                        if (this.presentation === "sheet" || this._isCatalystInView()) {
+                            this._setPosition();
+                        } else {
+                            this._fireCustomEvent("hideAfterScroll", { reason: "scroll" }); // differentiate this "hide" event as the result of the catalyst scrolling out of view
+                            this.hide("scroll");
+                        }
+                    }
+                }, this);
+                this.positionFrame = window.requestAnimationFrame ? window.requestAnimationFrame(callback) : setTimeout(callback, 16);
+            }
+        },
+        
+        /**
+         *  Wait a little bit (this.hideDelay) before hiding the dropdown, unless the user mouses back into the dropdown (or, with the 
+         *  hover trigger, the catalyst, or any open submenu) in the meantime. Each call restarts the grace period.
+         *  @method _scheduleHide
+         *  @private
+         */
+        _scheduleHide: function () {
+            this.cancelHide();
+            if (this.mode === "dialog") {
+                return; // dialogs don't hide when the mouse leaves them
+            }
+            if (this.isVisible()) {
+                this.core.setTimer("hide", $.proxy(function () {
+                    if (!this._isMouseCursorInsideTree()) { // ensure user has not moused back in
+                        this.hide("mouseleave");
+                    }
+                }, this), this.hideDelay);
+            }
+            
+            // Leaving a submenu may also mean leaving its ancestors.
+            if (this.parentDropdown && this.parentDropdown.isMouseBoundaryDetectionEnabled) {
+                this.parentDropdown._scheduleHide();
+            }
+        },
+        
+        /**
+         *  Virtual scroll only. Scroll the content area just enough for a row to be fully visible, and render it right away.
+         *  @method _scrollToVirtualItem
+         *  @param {Integer} itemIndex : Index of the row within the rendered items.
+         *  @private
+         */
+        _scrollToVirtualItem: function (itemIndex) {
+            var contentEl = this.elements.content;
+            var offsets = this._getVirtualOffsets();
+            var scrollTop = contentEl.scrollTop();
+            var viewportHeight = contentEl.height();
+            if (offsets[itemIndex] < scrollTop) {
+                contentEl.scrollTop(offsets[itemIndex]);
+            } else if (offsets[itemIndex + 1] > scrollTop + viewportHeight) {
+                contentEl.scrollTop(offsets[itemIndex + 1] - viewportHeight);
+            }
+            this._renderVirtualWindow();
+        },
+        
+        /**
+         *  Delegate only. Anchor the dropdown to another activating element. If the dropdown is visible, the active state and catalyst 
+         *  tracking move from the previous element to this one (a show of the visible dropdown doesn't prepare it again); the caller is 
+         *  expected to show the dropdown again to move it.
+         *  @method _setActiveCatalyst
+         *  @param {HTMLElement} el : The activated element.
+         *  @returns {Boolean} : TRUE if the dropdown is visible and was anchored to a different element.
+         *  @private
+         */
+        _setActiveCatalyst: function (el) {
+            var catalyst = $(el);
+            if (!this.delegate || catalyst.is(this.activeCatalyst)) {
+                return false;
+            }
+            var isSwitching = this.isVisible();
+            if (isSwitching) {
+                this._stopCatalystTracking();
+                this.activeCatalyst.removeClass(this.catalystActiveClass);
+                if (this.isAccessibilityEnabled) {
+                    this.activeCatalyst.attr("aria-expanded", "false");
+                }
+            }
+            if (this.isAccessibilityEnabled && !catalyst.attr("aria-haspopup")) { // added after initialization
+                catalyst.attr({
+                    "aria-haspopup": (this.mode === "dialog") ? "dialog" : "true",
+                    "aria-expanded": "false",
+                    "aria-controls": this.elements.root.attr("id")
+                });
+            }
+            this.activeCatalyst = catalyst;
+            if (isSwitching) {
+                catalyst.addClass(this.catalystActiveClass);
+                if (this.isAccessibilityEnabled) {
+                    catalyst.attr("aria-expanded", "true");
+                }
+                this._startCatalystTracking();
+            }
+            return isSwitching;
+        },
+        
+        /**
+         *  Highlight one of the selectable items as "active" (filter mode), without moving focus. Out-of-range indices wrap around; 
+         *  -1 clears the active item.
+         *  @method _setActiveItem
+         *  @param {Integer} index : Index of the item within the selectable items (see "_getItemLink").
+         *  @private
+         */
+        _setActiveItem: function (index) {
+            var activeClassName = this._getClassName("item-active");
+            var count = this._getSelectableItemCount();
+            this._getSelectableItemLinks().removeClass(activeClassName);
+            if (this.elements.filter) {
+                this.elements.filter.removeAttr("aria-activedescendant");
+            }
+            
+            if (index === -1 || !count) {
+                this.activeItemIndex = -1;
+                return;
+            }
+            this.activeItemIndex = ((index % count) + count) % count;
+            
+            var linkEl = this._getItemLink(this.activeItemIndex).addClass(activeClassName);
+            if (!linkEl.attr("id")) {
+                linkEl.attr("id", this._getClassName("item-" + this._getUniqueId() + "-" + this.activeItemIndex));
+            }
+            if (this.elements.filter) {
+                this.elements.filter.attr("aria-activedescendant", linkEl.attr("id"));
+            }
+            if (linkEl.get(0).scrollIntoView && this.isVisible()) {
+                linkEl.get(0).scrollIntoView({ block: "nearest" });
+            }
+        },
+        
+        /**
+         *  Arrow only. Move the arrow to the edge of the root that faces the catalyst, centered on the catalyst (or the pointer, for 
+         *  context menus) but kept within that edge, e.g. after the dropdown was shifted to stay inside the viewport. The arrow is 
+         *  hidden if the dropdown overlaps the catalyst.
+         *  @method _setArrowPosition
+         *  @param {HashMap} position : Top left corner of the root, relative to the document, e.g. { x: x, y: y }.
+         *  @returns {HashMap} : Arrow geometry relative to the root's top left corner, e.g. { side: "below", x: x, y: y, width: w, height: h }, 
+         *                       where "side" is the side of the catalyst the dropdown is on. NULL if there is no (visible) arrow.
+         *  @private
+         */
+        _setArrowPosition: function (position) {
+            var arrowEl = this.elements.arrow;
+            if (!arrowEl) {
+                return null;
+            }
+            var side = DropdownCore.getPlacement(this.resolvedAnchorPoint || this.anchorPoint).side;
+            arrowEl.removeClass($.map(["above", "below", "left", "right"], $.proxy(function (name) { return this._getClassName("arrow-" + name); }, this)).join(" "));
+            if (!side) {
+                arrowEl.hide();
+                return null;
+            }
+            arrowEl.show().addClass(this._getClassName("arrow-" + side)); // the class determines which way the arrow points
+            
+            var rootEl = this.elements.root;
+            var arrow = DropdownCore.getArrowPosition(side, this._getAnchorPosition(), 
+                { x: position.x, y: position.y, w: rootEl.innerWidth(), h: rootEl.innerHeight() }, 
+                { w: arrowEl.outerWidth(), h: arrowEl.outerHeight() });
+            arrowEl.css({ left: arrow.x + "px", top: arrow.y + "px" });
+            return arrow;
+        },
+        
+        /**
+         *  Sets the "isMouseCursorInsideDropdown" property and notifies subscribers of the change.
+         *  @method _setMouseCursorInsideDropdown
+         *  @param {Boolean} isInside : Is the mouse cursor currently inside the dropdown wrapper?
+         *  @private
+         */
+        _setMouseCursorInsideDropdown: function (isInside) {
+            if (isInside) {
+                this.isMouseCursorInsideDropdown = true;
+                this._fireCustomEvent("mouseEnterDropdown");
+            } else {
+                this.isMouseCursorInsideDropdown = false;
+                this._fireCustomEvent("mouseLeaveDropdown");
+            }
+        },
+        
+        /**
+         *  Sets the position of the dropdown with respect to the catalyst element. 
+         *  Subscribers to the "position" event receive the physical anchor point that was actually used, e.g. { anchorPoint: "left above" }
+         *  (NULL for a bottom sheet).
+         *  @method _setPosition
+         *  @private
+         */
+        _setPosition: function () {
+            var rootEl = this.elements.root;
+            
+            // The "size" middleware constrains the root to the space available in the viewport, so measure it unconstrained.
+            var isSized = !!this.middleware && $.inArray("size", this.middleware) !== -1;
+            if (isSized) {
+                rootEl.css({ "max-width": "", "max-height": "" });
+            }
+            
+            // A bottom sheet is laid out by the stylesheet instead.
+            if (this._updatePresentation() === "sheet") {
+                rootEl.css({ "position": "", "left": "", "right": "", "top": "", "bottom": "" });
+                if (this.elements.arrow) {
+                    this.elements.arrow.hide();
+                }
+                this._fireCustomEvent("position", { anchorPoint: null, arrow: null });
+                return;
+            }
+            
+            var position = this._getPositionByAnchorPoint(); // top left corner of the root, relative to the document
+            if (!position) {
+                return;
+            }
+            
+            // If the catalyst is in a fixed context (e.g. a fixed header) that the root isn't part of, fix the root too, so it doesn't 
+            // drift when the page scrolls.
+            var fixedEl = this.activeCatalyst.parents().addBack().filter(function () {
+                return $(this).css("position") === "fixed";
+            }).last();
+            var isFixed = !!fixedEl.length && !$.contains(fixedEl.get(0), rootEl.get(0));
+            rootEl.css("position", isFixed ? "fixed" : "").attr("dir", this._getDirection()); // the content follows the catalyst's text direction
+            
+            // Translate document coordinates into those of the root's containing block: the viewport if fixed, otherwise the nearest 
+            // positioned ancestor of the root (only if it isn't appended to the body).
+            var origin = { x: 0, y: 0 };
+            if (isFixed) {
+                origin = { x: $(window).scrollLeft(), y: $(window).scrollTop() };
+            } else {
+                var parentEl = rootEl.parent();
+                while (parentEl.length && !parentEl.is("body, html") && parentEl.css("position") === "static") {
+                    parentEl = parentEl.parent();
+                }
+                if (parentEl.length && !parentEl.is("body, html")) {
+                    var offset = parentEl.offset();
+                    origin = {
+                        x: offset.left + parentEl.get(0).clientLeft - parentEl.scrollLeft(),
+                        y: offset.top + parentEl.get(0).clientTop - parentEl.scrollTop()
+                    };
+                }
+            }
+            rootEl.css({
+                "left":      Math.round(position.x - origin.x) + "px",
+                "right":     "auto",
+                "top":       Math.round(position.y - origin.y) + "px",
+                "bottom":    "auto"
+            });
+            if (isSized) {
+                rootEl.css({ "max-width": position.maxWidth + "px", "max-height": position.maxHeight + "px" });
+            }
+            this._fireCustomEvent("position", { anchorPoint: this.resolvedAnchorPoint, arrow: this._setArrowPosition(position) });
+        },
+        
+        /**
+         *  Begin following the catalyst: listen for scrolling of the window and of every scrollable ancestor, and for size changes of the 
+         *  catalyst and content area (where ResizeObserver is available). Called whenever the dropdown is shown; no-op unless tracking is enabled.
+         *  @method _startCatalystTracking
+         *  @private
+         */
+        _startCatalystTracking: function () {
+            if (this.isCatalystTrackingEnabled && !this.trackedElements) {
+                var requestPosition = $.proxy(this._requestPosition, this);
+                
+                this.trackedElements = this.activeCatalyst.parents().filter(function () {
+                    return (/(auto|scroll|overlay)/).test($(this).css("overflow") + $(this).css("overflow-x") + $(this).css("overflow-y"));
+                });
+                this.trackedElements.add(window).on(this._getEventName("scroll"), requestPosition);
+                
+                if (typeof window.ResizeObserver === "function") {
+                    this.resizeObserver = new window.ResizeObserver(requestPosition);
+                    this.resizeObserver.observe(this.activeCatalyst.get(0));
+                    this.resizeObserver.observe(this.elements.content.get(0));
+                }
+            }
+        },
+        
+        /**
+         *  Stop following the catalyst. Called whenever the dropdown is hidden.
+         *  @method _stopCatalystTracking
+         *  @private
+         */
+        _stopCatalystTracking: function () {
+            if (this.trackedElements) {
+                this.trackedElements.add(window).off(this._getEventName("scroll"));
+                this.trackedElements = null;
+            }
+            if (this.resizeObserver) {
+                this.resizeObserver.disconnect();
+                this.resizeObserver = null;
+            }
+            if (this.positionFrame) {
+                if (window.cancelAnimationFrame) {
+                    window.cancelAnimationFrame(this.positionFrame);
+                } else {
+                    clearTimeout(this.positionFrame);
+                }
+                this.positionFrame = null;
+            }
+        },
+        
+        /**
+         *  Select replacement only. Re-read the options of the native <select> into the items, preserving the filter query and the 
+         *  focused item, and update the catalyst label with the selected option(s). If the catalyst contains an element with class 
+         *  "module-dd-label", only that element's text is replaced. A <select> catalyst shows its own label.
+         *  @method _syncFromSelect
+         *  @private
+         */
+        _syncFromSelect: function () {
+            var focusedIndex = this._getFocusedItemIndex();
+            this.items = this._readSelectOptions();
+            if (this.elements.filter && this.elements.filter.val()) {
+                this._filterItems($.trim(this.elements.filter.val()));
+            } else {
+                this._renderItems(this.items);
+            }
+            if (focusedIndex !== -1 && this.isVisible()) {
+                this._focusItem(focusedIndex);
+            }
+            
+            if (!this.catalyst.is(this.selectElement)) {
+                var labels = $.map(this.selectElement.find("option:selected"), function (option) {
+                    return $.trim($(option).text());
+                });
+                var labelEl = this.catalyst.find("." + this._getClassName("label"));
+                (labelEl.length ? labelEl : this.catalyst).text(labels.length ? labels.join(", ") : (this.selectElement.attr("data-placeholder") || ""));
+            }
+        },
+        
+        /**
+         *  Custom error handling.
+         *  @method _throwError
+         *  @param {String} message : Error message to show.
+         *  @private
+         */
+        _throwError: function (message) {
+            console.log("Dropdown Widget : " + (message || "unknown error"));
+        },
+        
+        /**
+         *  Toggle show/hide of the dropdown.
+         *  @method _toggle
+         *  @returns {Promise} : The promise returned by "show" or "hide".
+         *  @private
+         */
+        _toggle: function () {
+            return this.isVisible() ? this.hide("toggle") : this.show();
+        },
+        
+        /**
+         *  Determine the presentation (see "sheetBreakpoint" config) from the media query, and apply it to the root element. If the 
+         *  dropdown is visible, the backdrop and scroll lock follow.
+         *  @method _updatePresentation
+         *  @returns {String} : "anchored" or "sheet".
+         *  @private
+         */
+        _updatePresentation: function () {
+            this.presentation = (this.sheet.mediaList && this.sheet.mediaList.matches) ? "sheet" : "anchored";
+            this.elements.root.toggleClass(this._getClassName("sheet"), this.presentation === "sheet");
+            if (this.isVisible()) {
+                this._lockSheet(this.presentation === "sheet");
+            }
+            return this.presentation;
+        },
+        
+        /**
+         *  Keep track of the visible dropdowns, and give one that is being shown a z-index above the other visible dropdowns (e.g. its 
+         *  parent, if it's a submenu) and above the stacking context its catalyst is in. The base z-index comes from the stylesheet.
+         *  @method _updateStacking
+         *  @param {Boolean} isVisible : Is the dropdown being shown (TRUE) or hidden (FALSE)?
+         *  @private
+         */
+        _updateStacking: function (isVisible) {
+            var index = $.inArray(this, stackedInstances);
+            if (index !== -1) {
+                stackedInstances.splice(index, 1);
+            }
+            if (isVisible) {
+                var rootEl = this.elements.root.css("z-index", "");
+                var baseZIndex = parseInt(rootEl.css("z-index"), 10) || 0;
+                var zIndex = baseZIndex;
+                this.activeCatalyst.parents().addBack().each(function () {
+                    var value = parseInt($(this).css("z-index"), 10);
+                    if (!isNaN(value) && $(this).css("position") !== "static") {
+                        zIndex = Math.max(zIndex, value + 1);
+                    }
+                });
+                $.each(stackedInstances, function (index, instance) {
+                    zIndex = Math.max(zIndex, (parseInt(instance.elements.root.css("z-index"), 10) || 0) + 1);
+                });
+                rootEl.css("z-index", (zIndex > baseZIndex) ? zIndex : "");
+                stackedInstances.push(this);
+            }
+        }
+            
+    };
+    
+    /**
+     *  Create a dropdown for every element with a "data-dropdown" attribute inside the given root, configured via "data-dropdown-*" 
+     *  attributes, e.g. data-dropdown-anchor-point="right below" or data-dropdown-manual-show="true" (the "Enabled" suffix of 
+     *  boolean options may be left off). Values are converted like jQuery's .data() does, then validated like any other config.
+     *  The content is the HTML of the element referenced by the "data-dropdown" selector (typically a <template>), or else of the 
+     *  catalyst's next sibling element. Elements whose selector is invalid are skipped. If supported, the root is then observed: dropdowns added later are initialized, and ones 
+     *  whose catalyst is removed from the document are destroyed.
+     *  @method autoInit
+     *  @param {HTMLElement} root : Optional. Element to search (and observe). (default: document.body)
+     *  @returns {Array} : The dropdowns that were created.
+     *  @static
+     */
+    Dropdown.autoInit = function (root) {
+        var rootEl = $(root || document.body).first();
+        
+        // Initialize the declarative dropdowns within an element (including the element itself).
+        var initialize = function (el) {
+            var created = [];
+            $(el).find("[data-dropdown]").addBack("[data-dropdown]").each(function () {
+                var catalyst = $(this);
+                if (Dropdown.getInstance(catalyst)) {
+                    return; // already initialized
+                }
+                
+                // Resolve the content first. The attribute is only ever used as a selector (never parsed as markup); elements with an 
+                // invalid one are skipped, so that they don't break the initialization of the rest of the page.
+                var selector = catalyst.attr("data-dropdown");
+                var contentEl = catalyst.next();
+                if (selector) {
+                    try {
+                        contentEl = $(document).find(selector).first();
+                    } catch (e) {
+                        return;
+                    }
+                }
+                
+                var config = {};
+                $.each(catalyst.data(), function (key, value) {
+                    var match = (/^dropdown([A-Z].*)$/).exec(key);
+                    if (match) {
+                        key = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+                        config[($.inArray(key, enabledOptions) !== -1) ? key + "Enabled" : key] = value;
+                    }
+                });
+                var dropdown = new Dropdown(catalyst, config);
+                if (contentEl.length) {
+                    dropdown.render(contentEl.html());
+                }
+                created.push(dropdown);
+            });
+            return created;
+        };
+        
+        if (typeof window.MutationObserver === "function" && !rootEl.data("module-dropdown-observer")) {
+            var observer = new window.MutationObserver(function (mutations) {
+                $.each(mutations, function (index, mutation) {
+                    $.each(mutation.addedNodes, function (index, node) {
+                        if (node.nodeType === 1 && $.contains(document.documentElement, node)) {
+                            initialize(node);
+                        }
+                    });
+                    if (mutation.removedNodes.length) { // nodes that were only moved are still in the document
+                        $.each($.extend({}, instances), function (id, instance) {
+                            var catalystEl = instance.catalyst.get(0);
+                            if (!instance.isDestroyed && instance.catalyst.is("[data-dropdown]") && !$.contains(document.documentElement, catalystEl)) {
+                                instance.destroy();
+                            }
+                        });
+                    }
+                });
+            });
+            observer.observe(rootEl.get(0), { childList: true, subtree: true });
+            rootEl.data("module-dropdown-observer", observer);
+        }
+        return initialize(rootEl);
+    };
+    
+    /**
+     *  Destroy every live instance whose catalyst is inside the given container (or is the container itself), e.g. before removing 
+     *  a section of the page.
+     *  @method destroyAll
+     *  @param {HTMLElement} container : Optional. If omitted, all instances are destroyed.
+     *  @returns {Integer} : Number of instances destroyed.
+     *  @static
+     */
+    Dropdown.destroyAll = function (container) {
+        var containerEl = container ? $(container).get(0) : null;
+        var count = 0;
+        $.each($.extend({}, instances), function (id, instance) { // copy, since destroying an instance unregisters it (and its submenus)
+            var catalystEl = instance.catalyst.get(0);
+            if (!instance.isDestroyed && (!containerEl || containerEl === catalystEl || $.contains(containerEl, catalystEl))) {
+                instance.destroy();
+                count++;
+            }
+        });
+        return count;
+    };
+    
+    /**
+     *  Find the live instance that an element belongs to.
+     *  @method getInstance
+     *  @param {HTMLElement} el : A catalyst or dropdown root element.
+     *  @returns {Dropdown} : The instance, or NULL if there is none.
+     *  @static
+     */
+    Dropdown.getInstance = function (el) {
+        var id = $(el).first().data("module-dropdown-id");
+        return (id && instances.hasOwnProperty(id)) ? instances[id] : null;
+    };
+    
+    /**
+     *  Register an anchor point strategy, which can then be used as either half of the "anchorPoint" config, e.g. "left my-strategy".
+     *  The strategy is called with the catalyst's box relative to the document, e.g. { x: x, y: y, w: width, h: height }, and the 
+     *  root element's size, e.g. { w: width, h: height }, and returns the position of the root's top left corner on one axis, 
+     *  either { x: x } or { y: y }. Strategies are shared by all adapters (see "DropdownCore.registerAnchorStrategy").
+     *  @method registerAnchorStrategy
+     *  @param {String} name : Name of the strategy. Registering an existing name replaces it.
+     *  @param {Function} strategy : The strategy.
+     *  @param {String} opposite : Optional. The strategy that the "flip" middleware (see "middleware" config) swaps this one for.
+     *  @returns {Boolean} : Was the strategy registered?
+     *  @static
+     */
+    Dropdown.registerAnchorStrategy = function (name, strategy, opposite) {
+        return DropdownCore.registerAnchorStrategy(name, strategy, opposite);
+    };
+    
+    /**
+     *  Register an animation, which can then be selected by name via the "animation" config. An animation adapter is either:
+     *      { className: "my-animation" } : Transitioned via CSS classes, like the built-in animations. The class name is added to the root 
+     *                                       element, which also has the class "module-dd-closed" while hidden and "module-dd-side-<side>" 
+     *                                       (above, below, left or right of the catalyst). Style the closed state and the transition.
+     *      { show: function (element, done, info) {}, hide: function (element, done, info) {} } : Animate the root element and call 
+     *                                       done() when finished. "info" holds the dropdown, duration, side and transform origin. If the 
+     *                                       opposite method is called before done(), the animation should reverse from where it is.
+     *  @method registerAnimation
+     *  @param {String} name : Name of the animation. Registering an existing name replaces it.
+     *  @param {HashMap} animation : The animation adapter.
+     *  @returns {Boolean} : Was the animation registered?
+     *  @static
+     */
+    Dropdown.registerAnimation = function (name, animation) {
+        if (typeof name !== "string" || !isAnimation(animation)) {
+            return false;
+        }
+        animations[name] = animation;
+        return true;
+    };
+    
+    /**
+     *  Register a plugin, which is applied to every instance created from then on (unless disabled via the "plugins" config). A plugin 
+     *  is a named set of lifecycle hooks: each function listens to the event of the same name (see "Custom Events"), before any 
+     *  subscribers (including the built-in ones), and is called with (dropdown, data, ev). Returning FALSE from "beforeShow" or "beforeHide" 
+     *  cancels it. "initialize" fires once the dropdown's DOM and listeners are in place, so it's where a plugin sets itself up, and 
+     *  "destroy" where it cleans up. The built-in behaviors "outsideClick" and "resize" are plugins too.
+     *      { name: "my-plugin", initialize: function (dropdown) {}, show: function (dropdown, data, ev) {}, destroy: function (dropdown) {} }
+     *  @method use
+     *  @param {HashMap} plugin : The plugin. Registering an existing name replaces it.
+     *  @returns {Boolean} : Was the plugin registered?
+     *  @static
+     */
+    Dropdown.use = function (plugin) {
+        if (!plugin || typeof plugin.name !== "string") {
+            return false;
+        }
+        for (var i = 0; i < plugins.length; i++) {
+            if (plugins[i].name === plugin.name) {
+                plugins[i] = plugin;
+                return true;
+            }
+        }
+        plugins.push(plugin);
+        return true;
+    };
+    
+    /**
+     *  Dropdown.Group
+     * 
+     *  Description:
+     *     Coordinates a set of dropdowns (e.g. in a toolbar) so that only one of them is open at a time: opening one closes the others.
+     *     In menubar mode, once any dropdown in the group is open, hovering over a sibling's catalyst switches to that dropdown.
+     * 
+     *     Example Usage:
+     *             var toolbar = new Dropdown.Group({ menubar: true });
+     *             var fileMenu = new Dropdown($("#file-button"), { group: toolbar });
+     *             var editMenu = new Dropdown($("#edit-button"));
+     *             toolbar.add(editMenu);
+     * 
+     *     @constructor
+     *     @param {HashMap} config : Configuration object...
+     *                  {Boolean} menubar : If TRUE, hovering over a member's catalyst opens it while another member is open. (default: false)
+     */
+    Dropdown.Group = function (config) {
+        
+        // Class properties.
+        this.isMenubarEnabled = !!(config && config.menubar === true); // Configurable. Enables hover-switching between members.
+        this.members = []; // Dropdown instances in this group.
+        this.namespace = "module-dropdown-group-" + parseInt(Math.random().toString().replace(".", ""), 10); // Event namespace for listeners this group adds to its members.
+        this.openInstance = null; // Observable. The member that is currently open (or opening, or still fading out), if any.
+        
+    };
+    
+    Dropdown.Group.prototype = {
+        
+        /**
+         *  Add a dropdown to this group. A dropdown can belong to one group at a time.
+         *  @method add
+         *  @param {Dropdown} dropdown : The dropdown to add.
+         *  @returns {Boolean} : Was the dropdown added?
+         */
+        add: function (dropdown) {
+            if (!(dropdown instanceof Dropdown) || $.inArray(dropdown, this.members) !== -1) {
+                return false;
+            }
+            if (dropdown.group && dropdown.group !== this) {
+                dropdown.group.remove(dropdown);
+            }
+            dropdown.group = this;
+            this.members.push(dropdown);
+            
+            // Opening a member closes the others (see "_setOpenInstance", called once the member's show can no longer be canceled).
+            var onHide = $.proxy(function () { // not "beforeHide", which may yet be canceled
+                if (this.openInstance === dropdown) {
+                    this.openInstance = null;
+                }
+            }, this);
+            dropdown.subscribe("hide", onHide);
+            dropdown.catalyst.data(this.namespace, { hide: onHide });
+            
+            // Menubar mode: hovering over this member's catalyst while a sibling is open switches to this member.
+            dropdown.catalyst.on("mouseenter." + this.namespace, $.proxy(function () {
+                if (this.isMenubarEnabled && this.openInstance && this.openInstance !== dropdown) {
+                    dropdown.cancelShow();
+                    dropdown.show();
+                }
+            }, this));
+            
+            // If the dropdown is already open, it becomes the open member (and closes any other).
+            if (dropdown.isVisible()) {
+                this._setOpenInstance(dropdown);
+            }
+            return true;
+        },
+        
+        /**
+         *  Close every dropdown in this group.
+         *  @method closeAll
+         */
+        closeAll: function () {
+            $.each(this.members, function (index, member) {
+                if (member.isVisible()) {
+                    member.hide();
+                }
+            });
+        },
+        
+        /**
+         *  Returns the member that is currently open.
+         *  @method getOpenInstance
+         *  @returns {Dropdown} : The open member, or NULL if all members are closed.
+         */
+        getOpenInstance: function () {
+            return this.openInstance;
+        },
+        
+        /**
+         *  Remove a dropdown from this group. The dropdown itself is left untouched.
+         *  @method remove
+         *  @param {Dropdown} dropdown : The dropdown to remove.
+         *  @returns {Boolean} : Was the dropdown removed? (FALSE if it wasn't a member.)
+         */
+        remove: function (dropdown) {
+            var index = $.inArray(dropdown, this.members);
+            if (index === -1) {
+                return false;
+            }
+            var listeners = dropdown.catalyst.data(this.namespace);
+            if (listeners) {
+                dropdown.unsubscribe("hide", listeners.hide);
+                dropdown.catalyst.removeData(this.namespace);
+            }
+            dropdown.catalyst.off("." + this.namespace);
+            this.members.splice(index, 1);
+            if (this.openInstance === dropdown) {
+                this.openInstance = null;
+            }
+            dropdown.group = null;
+            return true;
+        },
+        
+        /**
+         *  Make a member the open one, closing every other member. Called by the member once its show has passed "beforeShow".
+         *  @method _setOpenInstance
+         *  @param {Dropdown} dropdown : The member being opened.
+         *  @private
+         */
+        _setOpenInstance: function (dropdown) {
+            $.each(this.members, function (index, member) {
+                if (member !== dropdown && member.isVisible()) {
+                    member.hide();
+                }
+            });
+            this.openInstance = dropdown;
+        }
+        
     };
     
     /*
@@ -0,0 +1,141 @@
+/**
+ *  Unit tests for the headless core, run in Node with fake timers: node --test test/
+ */
+var test = require("node:test");
+var assert = require("node:assert");
+var DropdownCore = require("../dropdown-core");
+
+var createCore = function (hooks) {
+    return new DropdownCore(Object.assign({
+        animate: function (isShowing, done) {
+            setTimeout(done, 200);
+        }
+    }, hooks));
+};
+
+test.beforeEach(function (t) {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+});
+
+test("goes from hidden to showing, visible, hiding and back", function (t) {
+    var core = createCore();
+    var results = [];
+    assert.strictEqual(core.state, "hidden");
+    
+    core.show(null, function (isShown) {
+        results.push(isShown);
+    });
+    assert.strictEqual(core.state, "showing");
+    assert.ok(core.isVisible());
+    t.mock.timers.tick(200);
+    assert.strictEqual(core.state, "visible");
+    
+    core.hide(null, function (isHidden) {
+        results.push(isHidden);
+    });
+    assert.strictEqual(core.state, "hiding");
+    assert.ok(!core.isVisible());
+    t.mock.timers.tick(200);
+    assert.strictEqual(core.state, "hidden");
+    assert.deepStrictEqual(results, [true, true]);
+});
+
+test("a named timer runs once, and setting it again restarts it", function (t) {
+    var core = createCore();
+    core.show();
+    t.mock.timers.tick(200);
+    
+    core.setTimer("hide", function () {
+        core.hide({ reason: "mouseleave" });
+    }, 500);
+    t.mock.timers.tick(400);
+    core.setTimer("hide", function () {
+        core.hide({ reason: "mouseleave" });
+    }, 500);
+    t.mock.timers.tick(400);
+    assert.ok(core.hasTimer("hide"));
+    assert.strictEqual(core.state, "visible");
+    t.mock.timers.tick(100);
+    assert.ok(!core.hasTimer("hide"));
+    assert.strictEqual(core.state, "hiding");
+    
+    core.setTimer("show", function () {
+        assert.fail("cleared timers don't run");
+    }, 100);
+    core.clearTimer("show");
+    t.mock.timers.tick(100);
+});
+
+test("a canceled beforeShow leaves the dropdown hidden", function () {
+    var core = createCore();
+    var results = [];
+    core.on("beforeShow", function (ev) {
+        ev.preventDefault();
+    });
+    assert.strictEqual(core.show(null, function (isShown) {
+        results.push(isShown);
+    }), false);
+    assert.strictEqual(core.state, "hidden");
+    assert.deepStrictEqual(results, [false]);
+});
+
+test("a hide interrupts a running show", function (t) {
+    var core = createCore();
+    var results = [];
+    core.show(null, function (isShown) {
+        results.push("show " + isShown);
+    });
+    core.hide(null, function (isHidden) {
+        results.push("hide " + isHidden);
+    });
+    t.mock.timers.tick(200);
+    assert.deepStrictEqual(results, ["show false", "hide true"]);
+    assert.strictEqual(core.state, "hidden");
+});
+
+test("the prepare hook only runs when a show/hide actually starts", function (t) {
+    var prepared = [];
+    var core = createCore({
+        prepare: function (isShowing) {
+            prepared.push(isShowing);
+        }
+    });
+    core.show();
+    core.show(); // joins the running show
+    t.mock.timers.tick(200);
+    core.show(); // already visible
+    assert.deepStrictEqual(prepared, [true]);
+    
+    core.hide();
+    core.show(); // interrupts the hide
+    assert.deepStrictEqual(prepared, [true, false, true]);
+});
+
+test("listeners receive the event type and data, and can be removed", function (t) {
+    var core = createCore();
+    var received = [];
+    var listener = function (ev) {
+        received.push(ev.type + " " + ev.data.reason);
+    };
+    core.on("hide", listener);
+    core.show();
+    t.mock.timers.tick(200);
+    core.hide({ reason: "escape" });
+    t.mock.timers.tick(200);
+    core.off("hide", listener);
+    core.show();
+    t.mock.timers.tick(200);
+    core.hide({ reason: "api" });
+    t.mock.timers.tick(200);
+    assert.deepStrictEqual(received, ["hide escape"]);
+});
+
+test("getPosition flips a dropdown that overflows the viewport", function () {
+    var position = DropdownCore.getPosition({ x: 10, y: 300, w: 80, h: 20 }, { w: 200, h: 150 }, "left below", {
+        viewport: { x: 0, y: 0, w: 1024, h: 400 }
+    });
+    assert.deepStrictEqual(position, { x: 10, y: 150, anchorPoint: "left above" });
+    
+    position = DropdownCore.getPosition({ x: 10, y: 100, w: 80, h: 20 }, { w: 200, h: 150 }, "left below");
+    assert.deepStrictEqual(position, { x: 10, y: 120, anchorPoint: "left below" });
+});